@@ -1,26 +1,89 @@
 // Symphonia front-end powered by Nuvi Music backend
 
-// Nuvi Music backend – change this to your real Nuvi JSON endpoint
-// JSON format: { "tracks": [ { "title", "artist", "cover", "link" } ] } or just [ ... ]
+// Nuvi Music backend – the default catalog source; more can be added in Settings
+// JSON format: { "tracks": [ { "title", "artist", "album", "cover", "src" } ] } or just [ ... ]
+// (see CATALOG_SCHEMA for accepted field aliases)
 const MUSIC_DB_URL = "music-db.json"; 
 const MAX_HOME_TRACKS = 30; // max songs displayed on Home grid
 
 const state = {
-  tracks: [],          // normalized: {id,title,artist,cover,src,album}
-  shuffledOrder: [],
-  orderIndex: 0,
+  tracks: [],          // normalized: {id,title,artist,cover,src,album,source}
+  catalogTracks: [],   // merged remote catalogs, before local files are added
+  localTracks: [],     // imported files from IndexedDB, with session object URLs
+  trackIndexById: {},  // track id -> index in tracks
+  searchIndex: [],     // per-track normalized fields, built by buildSearchIndex()
+  dailyMix: { date: "", ids: [] }, // Home grid track ids, see SMART SHUFFLE
+  context: { key: "library", label: "Library", ids: [] }, // what is playing, natural order
+  order: [],           // context track ids in play order (shuffled when shuffle is on)
+  orderIndex: -1,      // position in order of the last context track played
+  queue: [],           // track ids queued by the user, played before order continues
+  playingFromQueue: false,
   currentTrackIndex: null,
   isPlaying: false,
-  repeatMode: "off",   // off | one
+  repeatMode: "off",   // off | all | one
   shuffleEnabled: true,
-  playlists: {},       // id -> { id, name, trackIds: [] }
-  activePlaylistId: null,
-  notificationsPrompted: false
+  shuffleMode: "smart", // smart | random
+  playlists: {},       // id -> { id, name, trackIds: [], favorites? }
+  activePlaylistId: null,   // playlist open in the playlist view
+  gridContext: null,        // playback context of an artist/album page; null = library
+  trackStats: {},           // track id -> { added, plays }
+  history: null,            // logged listens once loaded, see LISTENING HISTORY
+  statsPeriod: "week",      // week | month | all
+  playCounted: false,       // current track already counted as a play
+  tracksSort: { key: "title", dir: 1 },
+  tracksSorted: [],         // track indices in All tracks order
+  tracksSelection: new Set(), // selected track ids in All tracks
+  tracksAnchorId: null,     // last toggled row, for Shift-click ranges
+  crossfade: 0,             // seconds; 0 = gapless hand-over
+  preloadedId: null,        // track buffered in els.audioNext
+  nextPass: null,           // shuffled order of the next repeat-all pass, see getNextPass()
+  autoAdvance: false,       // the pending track change is an automatic one
+  shortcuts: {},            // action id -> key, see KEYBOARD SHORTCUTS
+  rebindingAction: null,    // action waiting for its new key in the help overlay
+  sleepTimer: null,         // see SLEEP TIMER
+  sleepFade: 1,             // volume factor while the sleep timer fades out
+  playbackRate: 1,          // see SPEED & A-B LOOP
+  loop: { a: null, b: null }, // A-B loop points in seconds; looping once b is set
+  normalization: "track",   // off | track | album
+  loudnessCache: {},        // track id -> { loudness, peak } measured locally
+  eq: {                     // see EQUALIZER
+    enabled: true,
+    preset: "Flat",
+    preamp: 0,
+    gains: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+    userPresets: {}         // name -> { preamp, gains }
+  },
+  pickerTrackIds: [],       // tracks waiting for a target in the playlist picker
+  exportPlaylistIds: [],    // playlists waiting for a format in the export dialog
+  notificationsPrompted: false,
+  downloadedIds: {},        // track id -> true when its audio is in the offline cache
+  downloadBusy: false,
+  catalogFetchedAt: null,   // when the catalog was last fetched from the network
+  catalogFromCache: false,  // served from the service worker's copy while offline
+  catalogDiagnostics: null, // { sources: [per-source results], fatal } from fetchTracks()
+  sources: [],              // catalog sources: { id, name, url, enabled }
+  libraryLoaded: false,     // first successful load done (playlists migrated, session restored)
+  updateRequested: false,   // user accepted a waiting service worker
+  savedSession: null,       // playback session read from storage, applied once tracks load
+  sessionReady: false       // no session saves until the saved one has been restored
 };
 
 const els = {};
 const PLAYLIST_STORAGE_KEY = "symphonia_nuvi_playlists_v1";
+// v1 stored positions in state.tracks as trackIds, v2 stores stable track IDs
+const PLAYLIST_SCHEMA_VERSION = 2;
 const THEME_STORAGE_KEY = "symphonia_nuvi_theme_v1";
+const SESSION_STORAGE_KEY = "symphonia_nuvi_session_v1";
+const SOURCES_STORAGE_KEY = "symphonia_nuvi_sources_v1";
+const TRACK_STATS_STORAGE_KEY = "symphonia_nuvi_track_stats_v1";
+const EQ_STORAGE_KEY = "symphonia_nuvi_eq_v1";
+const SHORTCUTS_STORAGE_KEY = "symphonia_nuvi_shortcuts_v1";
+const SLEEP_TIMER_STORAGE_KEY = "symphonia_nuvi_sleep_timer_v1"; // sessionStorage
+// Shared with service-worker.js, which serves these files offline
+const AUDIO_CACHE_NAME = "symphonia-audio-v1";
+// Shared with service-worker.js: marks catalog requests, which it serves
+// network-first. Accept is used because it needs no CORS preflight.
+const CATALOG_ACCEPT = "application/vnd.symphonia.catalog+json, application/json";
 
 // Visualizer audio context state
 const visualizerState = {
@@ -36,6 +99,16 @@ document.addEventListener("DOMContentLoaded", () => {
   initTheme();
   attachUIHandlers();
   loadPlaylistsFromStorage();
+  loadSourcesFromStorage();
+  loadTrackStats();
+  loadEqSettings();
+  loadShortcuts();
+  loadLoudnessCache();
+  renderEqBands();
+  renderEqPanel();
+  loadPlaybackSession();
+  loadSleepTimer();
+  initRouter();
   fetchTracks();
   initMediaSession();
   registerServiceWorker();
@@ -47,13 +120,61 @@ function cacheElements() {
   els.playlistList = document.getElementById("playlistList");
   els.newPlaylistBtn = document.getElementById("newPlaylistBtn");
 
+  els.navItems = document.querySelectorAll(".nav-item[data-view]");
+  els.gridView = document.getElementById("gridView");
+  els.gridTitle = document.getElementById("gridTitle");
+  els.gridSubtitle = document.getElementById("gridSubtitle");
+  els.playlistsView = document.getElementById("playlistsView");
+  els.playlistTiles = document.getElementById("playlistTiles");
+  els.playlistsNewBtn = document.getElementById("playlistsNewBtn");
+  els.playlistView = document.getElementById("playlistView");
+  els.playlistTitle = document.getElementById("playlistTitle");
+  els.playlistSubtitle = document.getElementById("playlistSubtitle");
+  els.playlistTracks = document.getElementById("playlistTracks");
+  els.playlistPlayBtn = document.getElementById("playlistPlayBtn");
+  els.playlistShuffleBtn = document.getElementById("playlistShuffleBtn");
+  els.playlistRenameBtn = document.getElementById("playlistRenameBtn");
+  els.playlistDeleteBtn = document.getElementById("playlistDeleteBtn");
+  els.playlistExportBtn = document.getElementById("playlistExportBtn");
+  els.playlistDownloadBtn = document.getElementById("playlistDownloadBtn");
+  els.playlistRemoveDownloadsBtn = document.getElementById("playlistRemoveDownloadsBtn");
+  els.downloadStatus = document.getElementById("downloadStatus");
+  els.clearDownloadsBtn = document.getElementById("clearDownloadsBtn");
+  els.playlistsImportBtn = document.getElementById("playlistsImportBtn");
+  els.playlistsExportBtn = document.getElementById("playlistsExportBtn");
+  els.playlistImportInput = document.getElementById("playlistImportInput");
+
+  els.exportDialog = document.getElementById("exportDialog");
+  els.exportDialogTitle = document.getElementById("exportDialogTitle");
+  els.exportConfirmBtn = document.getElementById("exportConfirmBtn");
+  els.exportCancelBtn = document.getElementById("exportCancelBtn");
+  els.importSummary = document.getElementById("importSummary");
+  els.importSummaryBody = document.getElementById("importSummaryBody");
+  els.importSummaryCloseBtn = document.getElementById("importSummaryCloseBtn");
+
+  els.liveAnnouncer = document.getElementById("liveAnnouncer");
+  els.shortcutsBtn = document.getElementById("shortcutsBtn");
+  els.shortcutsDialog = document.getElementById("shortcutsDialog");
+  els.shortcutsList = document.getElementById("shortcutsList");
+  els.shortcutsResetBtn = document.getElementById("shortcutsResetBtn");
+  els.shortcutsCloseBtn = document.getElementById("shortcutsCloseBtn");
+  els.playlistPicker = document.getElementById("playlistPicker");
+  els.playlistPickerList = document.getElementById("playlistPickerList");
+  els.playlistPickerNewBtn = document.getElementById("playlistPickerNewBtn");
+  els.playlistPickerCancelBtn = document.getElementById("playlistPickerCancelBtn");
+
+  els.upNextSection = document.getElementById("upNextSection");
   els.upNextList = document.getElementById("upNextList");
   els.upNextSubtitle = document.getElementById("upNextSubtitle");
 
   els.audio = document.getElementById("audioElement");
+  els.audioNext = document.getElementById("audioElementNext");
+  els.audioElements = [els.audio, els.audioNext];
   els.playerCover = document.getElementById("playerCover");
   els.playerTitle = document.getElementById("playerTitle");
   els.playerArtist = document.getElementById("playerArtist");
+  els.playerAlbum = document.getElementById("playerAlbum");
+  els.playerAlbumSep = document.getElementById("playerAlbumSep");
 
   els.btnPlayPause = document.getElementById("btnPlayPause");
   els.btnNext = document.getElementById("btnNext");
@@ -62,33 +183,167 @@ function cacheElements() {
   els.btnRepeat = document.getElementById("btnRepeat");
   els.volumeSlider = document.getElementById("volumeSlider");
   els.progressBar = document.getElementById("progressBar");
+  els.seekButtons = document.querySelectorAll("[data-seek]");
+  els.speedSelect = document.getElementById("speedSelect");
+  els.loopBtn = document.getElementById("loopBtn");
+  els.sleepBtn = document.getElementById("sleepBtn");
+  els.sleepRemaining = document.getElementById("sleepRemaining");
+  els.sleepMenu = document.getElementById("sleepMenu");
+  els.sleepCancelBtn = document.getElementById("sleepCancelBtn");
   els.currentTimeLabel = document.getElementById("currentTime");
   els.totalTimeLabel = document.getElementById("totalTime");
 
+  els.catalogStatus = document.getElementById("catalogStatus");
+  els.diagnosticsLink = document.getElementById("diagnosticsLink");
+  els.historyView = document.getElementById("historyView");
+  els.historySubtitle = document.getElementById("historySubtitle");
+  els.historyList = document.getElementById("historyList");
+  els.statsView = document.getElementById("statsView");
+  els.statsSummary = document.getElementById("statsSummary");
+  els.statsPeriods = document.getElementById("statsPeriods");
+  els.statsTopTracks = document.getElementById("statsTopTracks");
+  els.statsTopArtists = document.getElementById("statsTopArtists");
+  els.statsTopAlbums = document.getElementById("statsTopAlbums");
+  els.statsExportCsvBtn = document.getElementById("statsExportCsvBtn");
+  els.statsExportJsonBtn = document.getElementById("statsExportJsonBtn");
+  els.diagnosticsView = document.getElementById("diagnosticsView");
+  els.diagnosticsSummary = document.getElementById("diagnosticsSummary");
+  els.diagnosticsList = document.getElementById("diagnosticsList");
+  els.gridActions = document.getElementById("gridActions");
+  els.gridPlayBtn = document.getElementById("gridPlayBtn");
+  els.gridShuffleBtn = document.getElementById("gridShuffleBtn");
+  els.tracksView = document.getElementById("tracksView");
+  els.tracksSubtitle = document.getElementById("tracksSubtitle");
+  els.tracksSortSelect = document.getElementById("tracksSortSelect");
+  els.tracksSortDirBtn = document.getElementById("tracksSortDirBtn");
+  els.tracksBulkBar = document.getElementById("tracksBulkBar");
+  els.tracksSelectionCount = document.getElementById("tracksSelectionCount");
+  els.tracksSelectAll = document.getElementById("tracksSelectAll");
+  els.tracksScroller = document.getElementById("tracksScroller");
+  els.tracksSpacer = document.getElementById("tracksSpacer");
+  els.browseView = document.getElementById("browseView");
+  els.browseTitle = document.getElementById("browseTitle");
+  els.browseSubtitle = document.getElementById("browseSubtitle");
+  els.browseTiles = document.getElementById("browseTiles");
+  els.settingsView = document.getElementById("settingsView");
+  els.eqToggleBtn = document.getElementById("eqToggleBtn");
+  els.eqPanel = document.getElementById("eqPanel");
+  els.eqEnabled = document.getElementById("eqEnabled");
+  els.eqPresetSelect = document.getElementById("eqPresetSelect");
+  els.eqPreamp = document.getElementById("eqPreamp");
+  els.eqPreampValue = document.getElementById("eqPreampValue");
+  els.eqBands = document.getElementById("eqBands");
+  els.eqSavePresetBtn = document.getElementById("eqSavePresetBtn");
+  els.eqDeletePresetBtn = document.getElementById("eqDeletePresetBtn");
+  els.eqResetBtn = document.getElementById("eqResetBtn");
+  els.crossfadeSlider = document.getElementById("crossfadeSlider");
+  els.normalizationSelect = document.getElementById("normalizationSelect");
+  els.shuffleModeSelect = document.getElementById("shuffleModeSelect");
+  els.crossfadeValue = document.getElementById("crossfadeValue");
+  els.sourceList = document.getElementById("sourceList");
+  els.sourceForm = document.getElementById("sourceForm");
+  els.sourceNameInput = document.getElementById("sourceNameInput");
+  els.sourceUrlInput = document.getElementById("sourceUrlInput");
+  els.sourceFormError = document.getElementById("sourceFormError");
+  els.localFilesSummary = document.getElementById("localFilesSummary");
+  els.localFilesBtn = document.getElementById("localFilesBtn");
+  els.localFolderBtn = document.getElementById("localFolderBtn");
+  els.localClearBtn = document.getElementById("localClearBtn");
+  els.localFileInput = document.getElementById("localFileInput");
+  els.localFolderInput = document.getElementById("localFolderInput");
+  els.localStatus = document.getElementById("localStatus");
+  els.updateBanner = document.getElementById("updateBanner");
+  els.updateReloadBtn = document.getElementById("updateReloadBtn");
+  els.updateDismissBtn = document.getElementById("updateDismissBtn");
+
   els.themeToggleBtn = document.getElementById("themeToggleBtn");
   els.visualizer = document.getElementById("visualizer");
+  els.libraryNotice = document.getElementById("libraryNotice");
+  els.libraryNoticeText = document.getElementById("libraryNoticeText");
+  els.libraryNoticeDismissBtn = document.getElementById("libraryNoticeDismissBtn");
 
   // Extra logging for audio errors (helps with debugging)
-  if (els.audio) {
-    els.audio.addEventListener("error", () => {
-      const err = els.audio.error;
+  els.audioElements.forEach((audio) => {
+    audio.addEventListener("error", () => {
+      // The standby element reports an error when its src is cleared
+      if (!audio.getAttribute("src")) return;
+      const err = audio.error;
       console.error("HTMLMediaElement error:", {
+        active: audio === els.audio,
         code: err && err.code,
-        currentSrc: els.audio.currentSrc,
-        audioSrcAttr: els.audio.getAttribute("src")
+        currentSrc: audio.currentSrc,
+        audioSrcAttr: audio.getAttribute("src")
       });
     });
-  }
+  });
 }
 
 /* ========== PWA: Service Worker Registration ========== */
 
+const SW_UPDATE_CHECK_MS = 60 * 60 * 1000; // long-lived tabs look for updates hourly
+
 function registerServiceWorker() {
-  if ("serviceWorker" in navigator) {
-    navigator.serviceWorker
-      .register("service-worker.js")
-      .catch((err) => console.log("Service worker registration failed:", err));
-  }
+  if (!("serviceWorker" in navigator)) return;
+
+  navigator.serviceWorker
+    .register("service-worker.js")
+    .then((reg) => {
+      // A worker may already be waiting from an earlier visit
+      if (reg.waiting && navigator.serviceWorker.controller) {
+        showUpdateBanner(reg.waiting);
+      }
+
+      reg.addEventListener("updatefound", () => {
+        const worker = reg.installing;
+        if (!worker) return;
+        worker.addEventListener("statechange", () => {
+          // With no controller this is the first install, not an update
+          if (worker.state === "installed" && navigator.serviceWorker.controller) {
+            showUpdateBanner(worker);
+          }
+        });
+      });
+
+      setInterval(() => {
+        reg.update().catch(() => {});
+        const controller = navigator.serviceWorker.controller;
+        if (controller) controller.postMessage({ type: "CHECK_SHELL" });
+      }, SW_UPDATE_CHECK_MS);
+    })
+    .catch((err) => console.log("Service worker registration failed:", err));
+
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (state.updateRequested) location.reload();
+  });
+  // The worker refreshed the cached app shell in the background
+  navigator.serviceWorker.addEventListener("message", (e) => {
+    if (e.data && e.data.type === "SHELL_UPDATED") showUpdateBanner(null);
+  });
+}
+
+// `worker` is the waiting service worker, or null when only the cached
+// shell changed and a plain reload picks it up
+function showUpdateBanner(worker) {
+  if (!els.updateBanner) return;
+  els.updateBanner.hidden = false;
+
+  els.updateReloadBtn.onclick = () => {
+    saveSession();
+    if (!worker) {
+      location.reload();
+      return;
+    }
+    state.updateRequested = true;
+    worker.postMessage({ type: "SKIP_WAITING" });
+  };
+  els.updateDismissBtn.onclick = () => {
+    els.updateBanner.hidden = true;
+  };
+}
+
+function showLibraryNotice(message) {
+  els.libraryNoticeText.textContent = message;
+  els.libraryNotice.hidden = false;
 }
 
 /* ========== THEME ========== */
@@ -124,733 +379,6042 @@ function toggleTheme() {
 
 /* ========== DATA FETCH & NORMALIZATION ========== */
 
+// Fetches every enabled catalog source in parallel and merges them with the
+// imported local files into state.tracks. Also used to reload the library
+// after sources change.
+let catalogLoadId = 0;
+let legacyCatalogIndexes = null; // see migratePlaylistTrackIds()
+
 async function fetchTracks() {
+  const loadId = ++catalogLoadId;
   try {
-    const res = await fetch(MUSIC_DB_URL);
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    const data = await res.json();
-    const raw = data.tracks || data;
+    const sources = state.sources.filter((src) => src.enabled);
+    const [results] = await Promise.all([
+      Promise.all(sources.map(fetchCatalogSource)),
+      ensureLocalTracks(),
+      ensureHistory() // weights the daily mix, see SMART SHUFFLE
+    ]);
+    // A newer reload started while this one was in flight
+    if (loadId !== catalogLoadId) return;
+
+    state.catalogTracks = mergeCatalogSources(results);
+    const defaultCatalog = results.find((r) => r.id === "default" && !r.error);
+    legacyCatalogIndexes = defaultCatalog ? defaultCatalog.legacyIndexes : null;
+    state.catalogDiagnostics = {
+      sources: results.map(({ tracks, legacyIndexes, ...rest }) => rest),
+      fatal: null
+    };
+    recordCatalogRefresh(results);
+
+    applyLibrary(
+      !sources.length
+        ? "No catalog sources are enabled. Add or enable one in Settings, or import local files."
+        : results.every((r) => r.error)
+          ? "Unable to load any catalog source. Check the URLs in Settings and that Symphonia is served over http:// or https://."
+          : "The catalogs loaded but contain no playable tracks. Each entry needs a valid audio URL in src, url or link."
+    );
+  } catch (err) {
+    console.error("Error loading music db:", err);
+    showCatalogFailure(`Unable to load the music library (${err.message || err}).`);
+  }
+}
 
-    const normalized = [];
-    let skipped = 0;
+// Rebuilds state.tracks from the catalog and local tracks. The first
+// successful call restores the session; later calls keep playing and
+// re-point the queue and order at the new library.
+function applyLibrary(emptyMessage) {
+  const currentTrack = state.tracks[state.currentTrackIndex];
+  state.tracks = state.catalogTracks.concat(state.localTracks);
+  rebuildTrackIndex();
+  stampTrackAdded();
+  buildSearchIndex();
+  renderDiagnosticsLink();
+  if (!els.settingsView.hidden) renderSettings();
+
+  if (state.libraryLoaded) {
+    state.currentTrackIndex = currentTrack ? indexOfTrackId(currentTrack.id) : null;
+    if (state.currentTrackIndex === -1) state.currentTrackIndex = null;
+    reconcileOrder(state.context, state.order, state.orderIndex);
+    state.queue = state.queue.filter((id) => indexOfTrackId(id) !== -1);
+    renderUpNext();
+    scheduleSessionSave();
+  }
 
-    raw.forEach((t, idx) => {
-      const url = (t.url || t.link || "").toString().trim();
-      if (!url) {
-        console.warn(`Track ${idx} skipped - no URL found`);
-        skipped++;
-        return; // ignore entries with no playable URL
-      }
+  if (!state.tracks.length) {
+    showCatalogFailure(emptyMessage);
+    return;
+  }
 
-      const title = (t.title || "Untitled").toString();
-      const artist = (t.artist || "Unknown artist").toString();
-      const cover = (t.cover || "").toString().trim();
-      const album = (t.album || "").toString();
-
-      // Normalize into a consistent shape. Include `src`, `url`, and `link`
-      // so other parts of the app (or older data) can read the audio URL.
-      normalized.push({
-        id: t.id || `t${idx + 1}`,
-        title,
-        artist,
-        cover: cover || "",     // we handle empty string later with fallbacks
-        album,
-        src: url,                // canonical source property used by player
-        url: url,                // preserve original field name if used elsewhere
-        link: url                // legacy field name fallback
-      });
-    });
+  if (state.libraryLoaded) {
+    migratePlaylistTrackIds();
+    buildDailyMix();
+    renderPlaylistSidebar();
+    renderRoute();
+    loadDownloadedTracks();
+    return;
+  }
 
-    state.tracks = normalized;
+  migratePlaylistTrackIds();
+  renderPlaylistSidebar();
 
-    console.log(
-      `Symphonia loaded tracks from Nuvi: ${state.tracks.length} (skipped ${skipped} invalid entries)`
-    );
-    
-    // Debug: log first track to verify src is set
-    if (state.tracks.length > 0) {
-      console.log("First track loaded:", state.tracks[0]);
-    }
-
-    if (!state.tracks.length) {
-      if (els.trackGrid) {
-        els.trackGrid.innerHTML = `
-          <div style="color:#f88;font-size:0.9rem;">
-            Nuvi database loaded but no valid tracks (missing "link" field).<br/>
-            Check your JSON entries: each must have <code>link</code> with a valid audio URL.
-          </div>
-        `;
-      }
-      return;
-    }
+  buildDailyMix();
+  renderRoute();
+  loadDownloadedTracks();
 
-    buildInitialShuffleOrder();
-    renderTrackGrid();
-    renderUpNext();
+  if (!restorePlaybackSession()) {
+    setPlaybackContext(getLibraryContext(), null);
 
     // Preload first track (no autoplay)
-    loadTrackByIndex(state.shuffledOrder[0], false);
-  } catch (err) {
-    console.error("Error loading music db:", err);
-    if (els.trackGrid) {
-      els.trackGrid.innerHTML = `
-        <div style="color:#f88;font-size:0.9rem;">
-          Unable to load Nuvi music database.<br/>
-          Check <code>MUSIC_DB_URL</code> and that you're serving Symphonia over <b>http://</b> or <b>https://</b>.
-        </div>
-      `;
-    }
+    state.orderIndex = 0;
+    loadTrackByIndex(indexOfTrackId(state.order[0]), false);
   }
+  state.libraryLoaded = true;
+  state.sessionReady = true;
 }
 
-function buildInitialShuffleOrder() {
-  const indices = Array.from({ length: state.tracks.length }, (_, i) => i);
-  state.shuffledOrder = shuffleArray(indices);
-  state.orderIndex = 0;
-}
+async function fetchCatalogSource(source) {
+  const result = {
+    id: source.id,
+    name: source.name,
+    url: source.url,
+    total: 0,
+    issues: [],
+    tracks: [],
+    error: null,
+    fetchedAt: null,
+    fromCache: false,
+    legacyIndexes: null // default catalog only, see migratePlaylistTrackIds()
+  };
 
-function shuffleArray(arr) {
-  const a = arr.slice();
-  for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [a[i], a[j]] = [a[j], a[i]];
+  try {
+    const res = await fetch(source.url, {
+      cache: "no-cache",
+      headers: { Accept: CATALOG_ACCEPT }
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const data = await res.json();
+    Object.assign(result, readCatalogFreshness(res));
+
+    const { tracks, diagnostics } = validateCatalog(data);
+    if (source.id === "default") result.legacyIndexes = getLegacyCatalogIndexes(data);
+    result.tracks = tracks;
+    result.total = diagnostics.total;
+    result.issues = diagnostics.issues;
+  } catch (err) {
+    console.warn(`Error loading catalog "${source.name}":`, err);
+    result.error = err.message || String(err);
   }
-  return a;
+  return result;
 }
 
-/* ========== RENDERING ========== */
+// Sources are merged in the order they are listed; an entry whose src is
+// already in the library from an earlier source is dropped.
+function mergeCatalogSources(results) {
+  const merged = [];
+  const seenSrc = {};
+  const seenIds = {};
+
+  results.forEach((result) => {
+    result.tracks.forEach((track) => {
+      const owner = seenSrc[track.src];
+      if (owner) {
+        // The entry is dropped, so its other warnings no longer matter
+        result.issues = result.issues.filter((i) => i.index !== track.catalogIndex);
+        result.issues.push({
+          index: track.catalogIndex,
+          severity: "warning",
+          field: "src",
+          reason: `already in "${owner}"; merged`,
+          label: `${track.artist} – ${track.title}`
+        });
+        return;
+      }
+      seenSrc[track.src] = result.name;
 
-function renderTrackGrid(filter = "") {
-  const q = filter.trim().toLowerCase();
-  els.trackGrid.innerHTML = "";
+      // Explicit ids may clash between independently maintained catalogs
+      if (seenIds[track.id]) {
+        track.id = computeTrackId(track.src, track.title, track.artist, seenIds);
+      }
+      seenIds[track.id] = true;
 
-  const indices = state.shuffledOrder;
-  let shown = 0;
+      track.source = result.id;
+      merged.push(track);
+    });
+  });
 
-  for (let k = 0; k < indices.length; k++) {
-    const i = indices[k];
-    const track = state.tracks[i];
-    if (!track) continue;
+  return merged;
+}
 
-    const matches =
-      !q ||
-      track.title.toLowerCase().includes(q) ||
-      track.artist.toLowerCase().includes(q) ||
-      (track.album && track.album.toLowerCase().includes(q));
+function showCatalogFailure(message) {
+  state.catalogDiagnostics = {
+    ...(state.catalogDiagnostics || { sources: [] }),
+    fatal: message
+  };
+  renderDiagnosticsLink();
+  if (parseRoute(location.hash).name === "diagnostics") {
+    renderRoute();
+  } else {
+    navigate("#/diagnostics");
+  }
+}
 
-    if (!matches) continue;
+/* ========== CATALOG SCHEMA ========== */
+
+// Every catalog entry is checked against this schema. `aliases` are read in
+// order; the first present one wins. Entries without a usable `src` are
+// rejected, other problems are reported as warnings and the field falls
+// back to `fallback`.
+const CATALOG_SCHEMA = {
+  src: { aliases: ["src", "url", "link"], type: "url", required: true },
+  title: { aliases: ["title", "name"], type: "string", fallback: "Untitled" },
+  artist: { aliases: ["artist", "creator"], type: "string", fallback: "Unknown artist" },
+  album: { aliases: ["album"], type: "string", fallback: "" },
+  cover: { aliases: ["cover", "artwork", "image"], type: "image", fallback: "" },
+  id: { aliases: ["id"], type: "id" },
+  // Loudness metadata (see LOUDNESS NORMALIZATION); gains in dB, loudness in LUFS
+  replayGain: {
+    aliases: ["replayGain", "replaygain_track_gain", "trackGain"],
+    type: "number", min: -51, max: 51, fallback: null
+  },
+  albumGain: {
+    aliases: ["albumGain", "replaygain_album_gain"],
+    type: "number", min: -51, max: 51, fallback: null
+  },
+  loudness: { aliases: ["loudness", "lufs"], type: "number", min: -70, max: 0, fallback: null },
+  peak: { aliases: ["peak", "replaygain_track_peak"], type: "number", min: 0, max: 10, fallback: null }
+};
 
-    // Limit Home grid to MAX_HOME_TRACKS when not searching
-    if (!q && shown >= MAX_HOME_TRACKS) break;
+const AUDIO_URL_PROTOCOLS = ["http:", "https:", "blob:"];
+const IMAGE_URL_PROTOCOLS = ["http:", "https:", "blob:", "data:"];
 
-    const coverSrc =
-      track.cover && track.cover !== "undefined"
-        ? track.cover
-        : "https://picsum.photos/seed/symphoniaplaceholder/400/400";
+// Returns { tracks, diagnostics: { total, issues: [{ index, severity, field, reason, label }] } }
+function validateCatalog(data) {
+  const raw = Array.isArray(data) ? data : data && data.tracks;
+  if (!Array.isArray(raw)) {
+    throw new Error('catalog must be an array or { "tracks": [...] }');
+  }
 
-    const card = document.createElement("div");
-    card.className = "track-card";
-    card.dataset.index = i;
+  const tracks = [];
+  const issues = [];
+  const seenIds = {};
+  const seenSrc = {};
+  const seenTitleArtist = {};
 
-    card.innerHTML = `
-      <div class="track-cover-wrapper">
-        <img src="${coverSrc}" alt="${track.title}" class="track-cover" />
-        <div class="track-hover-play">▶</div>
-      </div>
-      <div class="track-meta">
-        <div class="track-title">${track.title}</div>
-        <div class="track-artist">${track.artist}</div>
-      </div>
-      <div class="track-tags">
-        <span>${track.album || ""}</span>
-        <button class="add-to-playlist-btn" data-index="${i}">+ Playlist</button>
-      </div>
-    `;
+  raw.forEach((entry, index) => {
+    const report = (severity, field, reason) =>
+      issues.push({ index, severity, field, reason, label: describeEntry(entry) });
 
-    els.trackGrid.appendChild(card);
-    shown++;
-  }
-}
+    if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+      report("error", null, "entry is not an object");
+      return;
+    }
 
-/* Up Next queue */
+    const values = {};
+    const fellBack = {};
+    const warnings = [];
+    let rejected = false;
+
+    Object.entries(CATALOG_SCHEMA).forEach(([field, rule]) => {
+      const alias = rule.aliases.find((a) => entry[a] != null && entry[a] !== "");
+      const value = alias ? entry[alias] : undefined;
+      const checked = checkCatalogValue(value, rule);
+
+      if (checked.error) {
+        if (rule.required) {
+          report("error", field, checked.error);
+          rejected = true;
+        } else {
+          warnings.push([field, `${checked.error}; using ${rule.fallback ? `"${rule.fallback}"` : "none"}`]);
+        }
+        values[field] = rule.fallback;
+        fellBack[field] = true;
+      } else {
+        values[field] = checked.value;
+      }
+    });
 
-function renderUpNext() {
-  if (!els.upNextList || !state.tracks.length) return;
+    if (!rejected && seenSrc[values.src] != null) {
+      report("error", "src", `duplicate of entry #${seenSrc[values.src]} (same src)`);
+      rejected = true;
+    }
 
-  const MAX_NEXT = 6;
-  els.upNextList.innerHTML = "";
+    // A rejected entry only gets the reason it was rejected
+    if (rejected) return;
+    seenSrc[values.src] = index;
+    warnings.forEach(([field, reason]) => report("warning", field, reason));
 
-  const list = [];
+    const titleArtist = `${values.title.toLowerCase()}\n${values.artist.toLowerCase()}`;
+    if (fellBack.title || fellBack.artist) {
+      // Placeholder names would make every untitled entry a "duplicate"
+    } else if (seenTitleArtist[titleArtist] != null) {
+      report("warning", "title", `same title and artist as entry #${seenTitleArtist[titleArtist]}`);
+    } else {
+      seenTitleArtist[titleArtist] = index;
+    }
 
-  if (state.shuffleEnabled && state.shuffledOrder.length) {
-    let start = state.orderIndex + 1;
-    while (list.length < MAX_NEXT && state.shuffledOrder.length > 0) {
-      const idx = state.shuffledOrder[start % state.shuffledOrder.length];
-      if (!list.includes(idx)) list.push(idx);
-      start++;
+    let id = values.id;
+    if (id && seenIds[id]) {
+      report("warning", "id", `duplicate id "${id}"; generating one`);
+      id = null;
     }
-  } else {
-    let idx =
-      state.currentTrackIndex == null ? 0 : (state.currentTrackIndex + 1) % state.tracks.length;
-    while (list.length < Math.min(MAX_NEXT, state.tracks.length - 1)) {
-      if (!list.includes(idx)) list.push(idx);
-      idx = (idx + 1) % state.tracks.length;
-    }
-  }
-
-  list.forEach((ti) => {
-    const t = state.tracks[ti];
-    if (!t) return;
-
-    const coverSrc =
-      t.cover && t.cover !== "undefined"
-        ? t.cover
-        : "https://picsum.photos/seed/symphoniaplaceholder/200/200";
-
-    const item = document.createElement("div");
-    item.className = "upnext-item";
-    item.dataset.index = ti;
-    item.innerHTML = `
-      <div class="upnext-cover" style="background-image:url('${coverSrc}')"></div>
-      <div class="upnext-meta">
-        <div class="upnext-title">${t.title}</div>
-        <div class="upnext-artist">${t.artist}</div>
-      </div>
-    `;
-    item.addEventListener("click", () => {
-      playTrackFromIndex(ti);
+    id = id || computeTrackId(values.src, values.title, values.artist, seenIds);
+    seenIds[id] = true;
+
+    // Include `src`, `url`, and `link` so other parts of the app (or older
+    // data) can read the audio URL.
+    tracks.push({
+      id,
+      catalogIndex: index,
+      title: values.title,
+      artist: values.artist,
+      cover: values.cover,
+      album: values.album,
+      src: values.src,
+      url: values.src,
+      link: values.src,
+      replayGain: values.replayGain,
+      albumGain: values.albumGain,
+      loudness: values.loudness,
+      peak: values.peak
     });
-    els.upNextList.appendChild(item);
   });
 
-  if (els.upNextSubtitle) {
-    els.upNextSubtitle.textContent =
-      list.length > 0
-        ? `Next ${list.length} in queue`
-        : "Queue will appear when you start playing";
-  }
+  return { tracks, diagnostics: { total: raw.length, issues } };
 }
 
-/* ========== UI HANDLERS ========== */
-
-function attachUIHandlers() {
-  // Search
-  els.searchInput.addEventListener("input", (e) => {
-    renderTrackGrid(e.target.value);
-  });
+// Returns { value } or { error }
+function checkCatalogValue(value, rule) {
+  if (value === undefined) {
+    return rule.required || rule.fallback ? { error: "missing" } : { value: rule.fallback };
+  }
 
-  // Track click & add to playlist
-  els.trackGrid.addEventListener("click", (e) => {
-    const addBtn = e.target.closest(".add-to-playlist-btn");
-    if (addBtn) {
-      const idx = parseInt(addBtn.dataset.index, 10);
-      handleAddTrackToPlaylist(idx);
-      e.stopPropagation();
-      return;
+  switch (rule.type) {
+    case "string":
+      if (typeof value === "string") return { value: value.trim() || rule.fallback };
+      if (typeof value === "number") return { value: String(value) };
+      return { error: `expected text, got ${describeType(value)}` };
+    case "id":
+      if (typeof value === "string" || typeof value === "number") return { value: String(value) };
+      return { error: `expected text or number, got ${describeType(value)}` };
+    case "url":
+    case "image": {
+      if (typeof value !== "string") return { error: `expected a URL, got ${describeType(value)}` };
+      const url = value.trim();
+      const protocols = rule.type === "url" ? AUDIO_URL_PROTOCOLS : IMAGE_URL_PROTOCOLS;
+      if (!isAllowedUrl(url, protocols)) return { error: `not a valid ${protocols.join("/")} URL` };
+      return { value: url };
     }
+    case "number": {
+      // Accepts tag-style strings such as "-6.48 dB"
+      const number = typeof value === "string" ? parseFloat(value) : value;
+      if (typeof number !== "number" || !Number.isFinite(number)) {
+        return { error: `expected a number, got ${describeType(value)}` };
+      }
+      if (number < rule.min || number > rule.max) {
+        return { error: `${number} is outside ${rule.min}..${rule.max}` };
+      }
+      return { value: number };
+    }
+    default:
+      return { value };
+  }
+}
 
-    const card = e.target.closest(".track-card");
-    if (!card) return;
-    const index = parseInt(card.dataset.index, 10);
-    playTrackFromIndex(index);
-  });
+function isAllowedUrl(value, protocols) {
+  try {
+    return protocols.includes(new URL(value, location.href).protocol);
+  } catch (e) {
+    return false;
+  }
+}
 
-  // Player controls
-  els.btnPlayPause.addEventListener("click", togglePlayPause);
-  els.btnNext.addEventListener("click", () => skipTrack(1));
-  els.btnPrev.addEventListener("click", () => skipTrack(-1));
-  els.btnShuffle.addEventListener("click", toggleShuffle);
-  els.btnRepeat.addEventListener("click", toggleRepeat);
+function describeType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "a list";
+  return typeof value === "object" ? "an object" : typeof value;
+}
 
-  els.volumeSlider.addEventListener("input", () => {
-    els.audio.volume = parseFloat(els.volumeSlider.value);
-  });
+function describeEntry(entry) {
+  if (!entry || typeof entry !== "object") return String(entry);
+  const title = typeof entry.title === "string" ? entry.title : "";
+  const artist = typeof entry.artist === "string" ? entry.artist : "";
+  const src = [entry.src, entry.url, entry.link].find((v) => typeof v === "string") || "";
+  return [artist, title].filter(Boolean).join(" – ") || src || "(untitled entry)";
+}
 
-  // Audio events
-  els.audio.addEventListener("timeupdate", updateProgress);
-  els.audio.addEventListener("loadedmetadata", updateDurationLabel);
-  els.audio.addEventListener("ended", handleTrackEnded);
+/* Diagnostics view */
 
-  els.progressBar.addEventListener("input", handleSeek);
+function countDiagnostics(diag) {
+  if (!diag) return 0;
+  return diag.sources.reduce(
+    (sum, src) => sum + src.issues.length + (src.error ? 1 : 0),
+    diag.fatal ? 1 : 0
+  );
+}
 
-  // Playlists
-  els.newPlaylistBtn.addEventListener("click", createNewPlaylist);
+function renderDiagnosticsLink() {
+  if (!els.diagnosticsLink) return;
+  const diag = state.catalogDiagnostics;
+  const count = countDiagnostics(diag);
+  els.diagnosticsLink.hidden = !diag;
+  els.diagnosticsLink.textContent = count
+    ? `Diagnostics (${count})`
+    : "Diagnostics";
+  els.diagnosticsLink.classList.toggle("has-issues", count > 0);
 }
 
-/* ========== NOTIFICATIONS ========== */
+function renderDiagnostics() {
+  const diag = state.catalogDiagnostics;
+  els.diagnosticsList.innerHTML = "";
 
-async function ensureNotificationPermission() {
-  if (!("Notification" in window)) return false;
+  if (!diag) {
+    els.diagnosticsSummary.textContent = "The catalog has not been loaded yet.";
+    return;
+  }
 
-  if (Notification.permission === "granted") return true;
-  if (Notification.permission === "denied") return false;
+  const total = diag.sources.reduce((sum, src) => sum + src.total, 0);
+  const issues = diag.sources.flatMap((src) => src.issues);
+  const errors = issues.filter((i) => i.severity === "error").length;
+  const warnings = issues.length - errors;
+  els.diagnosticsSummary.textContent =
+    `${diag.sources.length} source${diag.sources.length === 1 ? "" : "s"} · ` +
+    `${total} entries · ${state.tracks.length} loaded · ` +
+    `${errors} rejected · ${warnings} warning${warnings === 1 ? "" : "s"}`;
+
+  if (diag.fatal) {
+    els.diagnosticsList.appendChild(createDiagnosticsError(diag.fatal));
+  }
 
-  const result = await Notification.requestPermission();
-  return result === "granted";
-}
+  diag.sources.forEach((src) => {
+    els.diagnosticsList.appendChild(
+      createNode("h3.diagnostics-source", {}, [`${src.name} · ${src.url}`])
+    );
 
-function notifyNowPlaying(track) {
-  if (!("Notification" in window)) return;
-  if (Notification.permission !== "granted") return;
+    if (src.error) {
+      els.diagnosticsList.appendChild(
+        createDiagnosticsError(`Could not be loaded: ${src.error}`)
+      );
+      return;
+    }
 
-  new Notification("Symphonia – Now playing", {
-    body: `${track.title} — ${track.artist}`,
-    icon: track.cover || undefined,
-    tag: "symphonia-now-playing"
+    if (!src.issues.length) {
+      els.diagnosticsList.appendChild(
+        createEmptyMessage("div.playlist-empty", `No problems found in ${src.total} entries.`)
+      );
+      return;
+    }
+
+    els.diagnosticsList.appendChild(createDiagnosticsTable(src.issues));
   });
 }
 
-/* ========== PLAYBACK LOGIC ========== */
-
-function togglePlayPause() {
-  if (!state.tracks.length) return;
+function createDiagnosticsError(message) {
+  return createNode("div.diagnostics-fatal", {}, [message]);
+}
 
-  if (state.isPlaying) {
-    els.audio.pause();
-    stopVisualizerLoop();
-  } else {
-    // Ask for notification permission once, on user gesture
-    if (!state.notificationsPrompted) {
-      state.notificationsPrompted = true;
-      ensureNotificationPermission();
-    }
+function createDiagnosticsTable(issues) {
+  const rows = issues
+    .slice()
+    .sort((a, b) => (a.severity === b.severity ? a.index - b.index : a.severity === "error" ? -1 : 1))
+    .map((issue) =>
+      createNode(
+        `tr.diagnostics-${issue.severity}`,
+        {},
+        [
+          String(issue.index),
+          issue.severity === "error" ? "Rejected" : "Warning",
+          issue.field || "–",
+          issue.label,
+          issue.reason
+        ].map((text) => createNode("td", {}, [text]))
+      )
+    );
 
-    initVisualizer();
-    els.audio.play().catch((err) => {
-      console.error("audio.play() failed:", err);
-    });
-    startVisualizerLoop();
-  }
+  return createNode("table.diagnostics-table", {}, [
+    createNode("thead", {}, [
+      createNode(
+        "tr",
+        {},
+        ["#", "Severity", "Field", "Entry", "Reason"].map((label) => createNode("th", {}, [label]))
+      )
+    ]),
+    createNode("tbody", {}, rows)
+  ]);
 }
 
-function playTrackFromIndex(index) {
-  const track = state.tracks[index];
-  if (!track) {
-    console.warn("playTrackFromIndex: no track at index", index);
-    return;
+/* Track IDs are derived from the audio URL so they survive reordering and
+   metadata edits in music-db.json. Two entries sharing a URL fall back to a
+   hash that also covers title and artist. */
+function computeTrackId(src, title, artist, seenIds = {}) {
+  let id = `t_${hashString(src)}`;
+  if (seenIds[id]) {
+    id = `t_${hashString(`${src}\n${title.toLowerCase()}\n${artist.toLowerCase()}`)}`;
   }
-
-  if (!state.shuffledOrder.includes(index)) {
-    buildInitialShuffleOrder();
+  let n = 2;
+  const base = id;
+  while (seenIds[id]) {
+    id = `${base}_${n++}`;
   }
+  return id;
+}
 
-  state.currentTrackIndex = index;
-
-  const idxInOrder = state.shuffledOrder.indexOf(index);
-  if (idxInOrder !== -1) {
-    state.orderIndex = idxInOrder;
+// 32-bit FNV-1a, rendered in base 36
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
   }
+  return (h >>> 0).toString(36);
+}
 
-  loadTrackByIndex(index, true);
+function rebuildTrackIndex() {
+  state.trackIndexById = {};
+  state.tracks.forEach((t, i) => {
+    state.trackIndexById[t.id] = i;
+  });
 }
 
-function loadTrackByIndex(index, autoplay = true) {
-  // Validate index
-  const idx = Number.parseInt(index, 10);
-  if (!Number.isFinite(idx) || idx < 0 || idx >= state.tracks.length) {
-    console.error("loadTrackByIndex: invalid index", index);
-    return;
-  }
+function indexOfTrackId(id) {
+  const idx = state.trackIndexById[id];
+  return idx == null ? -1 : idx;
+}
 
-  const track = state.tracks[idx];
-  if (!track) {
-    console.warn("loadTrackByIndex: no track at index", idx);
-    return;
-  }
+const CATALOG_STATUS_REFRESH_MS = 60 * 1000;
+let catalogStatusTimer = null;
+
+// The service worker stamps network responses with X-Fetched-At and marks
+// offline fallbacks with X-From-Cache; without a worker the fetch is live.
+function readCatalogFreshness(res) {
+  const fetchedAt = res.headers.get("X-Fetched-At");
+  const fromCache = res.headers.get("X-From-Cache") === "1";
+  return {
+    fromCache,
+    fetchedAt: fetchedAt ? new Date(fetchedAt) : fromCache ? null : new Date()
+  };
+}
 
-  console.log("=== DEBUG: loadTrackByIndex called ===");
-  console.log("Index:", idx);
-  console.log("Track keys:", Object.keys(track));
+// The header shows the stalest of the sources that loaded
+function recordCatalogRefresh(results) {
+  const loaded = results.filter((r) => !r.error);
+  state.catalogFromCache = loaded.some((r) => r.fromCache);
+  state.catalogFetchedAt = loaded.reduce(
+    (oldest, r) => (!r.fetchedAt ? oldest : !oldest || r.fetchedAt < oldest ? r.fetchedAt : oldest),
+    null
+  );
+
+  renderCatalogStatus();
+  clearInterval(catalogStatusTimer);
+  catalogStatusTimer = setInterval(renderCatalogStatus, CATALOG_STATUS_REFRESH_MS);
+}
 
-  // Get the src - check multiple possible field names
-  let src = track.src || track.url || track.link || "";
-  src = String(src).trim();
+function renderCatalogStatus() {
+  if (!els.catalogStatus) return;
+
+  const when = state.catalogFetchedAt
+    ? formatRelativeTime(state.catalogFetchedAt)
+    : "an earlier visit";
+  els.catalogStatus.textContent = state.catalogFromCache
+    ? `Offline · catalog from ${when}`
+    : `Catalog refreshed ${when}`;
+  els.catalogStatus.title = state.catalogFetchedAt
+    ? state.catalogFetchedAt.toLocaleString()
+    : "";
+}
 
-  if (!src || src === "undefined") {
-    console.error("loadTrackByIndex: track has no valid src/url/link", track);
-    return; // avoid setting audio to undefined
+function formatRelativeTime(date) {
+  const seconds = Math.round((Date.now() - date.getTime()) / 1000);
+  if (seconds < 60) return "just now";
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `${hours} h ago`;
+  return date.toLocaleDateString();
+}
+
+function shuffleArray(arr) {
+  const a = arr.slice();
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
   }
+  return a;
+}
 
-  console.log("✓ Using source URL:", src);
+/* ========== DOM BUILDING ========== */
+
+// Catalog data, file tags and playlist names are untrusted: they only reach
+// the page as text nodes, attribute values and checked URLs, never through
+// innerHTML or a style attribute.
+
+// createNode("div.track-meta", { title: "…", dataset: { index: 3 } }, [child, "text"])
+// Props that exist on the element are assigned (hidden, tabIndex, href…),
+// everything else goes through setAttribute (aria-*, role…).
+function createNode(spec, props = {}, children = []) {
+  const [tag, ...classes] = spec.split(".");
+  const node = document.createElement(tag);
+  if (classes.length) node.className = classes.join(" ");
+
+  Object.entries(props).forEach(([key, value]) => {
+    if (value == null || value === false) return;
+    if (key === "dataset") Object.assign(node.dataset, value);
+    else if (key in node) node[key] = value;
+    else node.setAttribute(key, value === true ? "" : String(value));
+  });
 
-  state.currentTrackIndex = idx;
+  children.forEach((child) => {
+    if (child == null || child === false) return;
+    node.appendChild(typeof child === "string" ? document.createTextNode(child) : child);
+  });
+  return node;
+}
+
+// The cover to show for `track`, or a placeholder of `size` pixels when it
+// has none or its URL isn't an http(s), blob: or data:image URL
+function getCoverUrl(track, size, seed = "symphoniaplaceholder") {
+  return (
+    safeImageUrl(track && track.cover) ||
+    `https://picsum.photos/seed/${encodeURIComponent(seed)}/${size}/${size}`
+  );
+}
 
-  // Safely set the audio source
+function safeImageUrl(value) {
+  if (typeof value !== "string" || !value || value === "undefined") return "";
+  let url;
   try {
-    els.audio.src = src;
-    console.log("Audio src set to:", els.audio.src);
+    url = new URL(value, location.href);
   } catch (e) {
-    console.error("Error setting audio src:", e);
-    return;
+    return "";
   }
+  if (!IMAGE_URL_PROTOCOLS.includes(url.protocol)) return "";
+  if (url.protocol === "data:" && !/^data:image\//i.test(url.href)) return "";
+  return url.href;
+}
 
-  els.audio.load();
-  console.log("Audio loaded. currentSrc:", els.audio.currentSrc);
-
-  els.playerTitle.textContent = track.title || "Unknown title";
-  els.playerArtist.textContent = track.artist || "Unknown artist";
+// For style.backgroundImage; the URL is quoted so it can't end the value
+function cssUrl(url) {
+  return `url("${url.replace(/["\\]/g, "\\$&").replace(/[\n\r\f]/g, "")}")`;
+}
 
-  if (track.cover && track.cover !== "undefined") {
-    els.playerCover.style.backgroundImage = `url('${track.cover}')`;
-  } else {
-    els.playerCover.style.backgroundImage =
-      "url('https://picsum.photos/seed/symphoniaplayer/300/300')";
-  }
+function createCoverThumb(track) {
+  const cover = createNode("div.upnext-cover", { "aria-hidden": "true" });
+  cover.style.backgroundImage = cssUrl(getCoverUrl(track, 200));
+  return cover;
+}
 
-  updateMediaSessionMetadata(track);
-  renderUpNext();
+// Name and track count, as used by the sidebar, tiles and playlist picker
+function createPlaylistLabel(pl, note) {
+  return [
+    createNode("span.playlist-name", {}, [pl.name]),
+    createNode("span.playlist-count", {}, [
+      `${pl.trackIds.length} tracks${note ? ` · ${note}` : ""}`
+    ])
+  ];
+}
 
-  if (autoplay) {
-    notifyNowPlaying(track);
-    initVisualizer();
-    els.audio.play().catch((err) => {
-      console.error("audio.play() failed:", err);
-    });
-    startVisualizerLoop();
-  }
+function createEmptyMessage(spec, message) {
+  return createNode(spec, {}, [message]);
 }
 
-function updateProgress() {
-  const current = els.audio.currentTime || 0;
-  const total = els.audio.duration || 0;
+/* ========== RENDERING ========== */
+
+function renderTrackGrid() {
+  const fragment = document.createDocumentFragment();
+
+  state.dailyMix.ids.forEach((id) => {
+    const i = indexOfTrackId(id);
+    if (i !== -1) fragment.appendChild(createTrackCard(state.tracks[i], i));
+  });
+
+  els.trackGrid.innerHTML = "";
+  els.trackGrid.appendChild(fragment);
+}
+
+function renderSearchResults(query) {
+  const results = searchTracks(query);
+  const fragment = document.createDocumentFragment();
+
+  results.forEach((r) => {
+    fragment.appendChild(createTrackCard(state.tracks[r.index], r.index, r.highlights));
+  });
+
+  els.trackGrid.innerHTML = "";
+  if (results.length) {
+    els.trackGrid.appendChild(fragment);
+  } else {
+    els.trackGrid.appendChild(
+      createEmptyMessage(
+        "div.search-empty",
+        "No tracks match. Check the spelling, or narrow with artist:, album: or title:."
+      )
+    );
+  }
+
+  setGridHeader(
+    "Search",
+    `${results.length} result${results.length === 1 ? "" : "s"} for “${query.trim()}”`
+  );
+}
+
+// `highlights` (optional): { title, artist, album } ranges from searchTracks()
+function createTrackCard(track, i, highlights) {
+  const albumLink = track.album
+    ? createNode("a.meta-link", { href: buildAlbumHash(track.artist, track.album) }, [track.album])
+    : null;
+
+  const card = createNode(
+    "div.track-card",
+    { dataset: { index: i } },
+    [
+      createNode("div.track-cover-wrapper", {}, [
+        createNode("img.track-cover", { src: getCoverUrl(track, 400), alt: "" }),
+        // The card plays on click anywhere; this is its keyboard control
+        createNode(
+          "button.track-hover-play",
+          { title: "Play", "aria-label": `Play ${track.title} by ${track.artist}` },
+          ["▶"]
+        )
+      ]),
+      createNode("div.track-meta", {}, [
+        createNode("div.track-title", {}, [track.title]),
+        createNode("div.track-artist", {}, [
+          createNode("a.meta-link", { href: buildArtistHash(track.artist) }, [track.artist])
+        ])
+      ]),
+      createNode("div.track-tags", {}, [
+        createNode("span", {}, [albumLink]),
+        createNode("button.add-to-playlist-btn", { dataset: { index: i } }, ["+ Playlist"])
+      ]),
+      createNode("div.track-actions", {}, [
+        createNode(
+          "button.queue-btn",
+          { dataset: { action: "play-next", index: i }, title: "Play next" },
+          ["⏭ Next"]
+        ),
+        createNode(
+          "button.queue-btn",
+          { dataset: { action: "add-to-queue", index: i }, title: "Add to queue" },
+          ["+ Queue"]
+        ),
+        createNode("button.queue-btn.download-btn", {
+          dataset: { action: "download", index: i },
+          "aria-label": "Download for offline",
+          // Local files are already on this device
+          hidden: track.source === LOCAL_SOURCE_ID
+        })
+      ])
+    ]
+  );
+  setDownloadBadge(card, track);
+
+  if (highlights) {
+    setHighlightedText(card.querySelector(".track-title"), track.title, highlights.title);
+    setHighlightedText(card.querySelector(".track-artist a"), track.artist, highlights.artist);
+    setHighlightedText(albumLink, track.album || "", highlights.album);
+  }
+
+  return card;
+}
+
+/* Up Next queue */
+
+function renderUpNext() {
+  if (!els.upNextList || !state.tracks.length) return;
+
+  const MAX_NEXT = 6;
+  els.upNextList.innerHTML = "";
+
+  if (state.queue.length) {
+    els.upNextList.appendChild(createUpNextLabel("Queued", true));
+    state.queue.forEach((id, pos) => {
+      const item = createUpNextItem(id, "queue", pos);
+      if (item) els.upNextList.appendChild(item);
+    });
+  }
+
+  const upcoming = state.order.slice(
+    state.orderIndex + 1,
+    state.orderIndex + 1 + MAX_NEXT
+  );
+  if (upcoming.length) {
+    els.upNextList.appendChild(
+      createUpNextLabel(`Next from ${state.context.label}`, false)
+    );
+    upcoming.forEach((id, k) => {
+      const item = createUpNextItem(id, "order", state.orderIndex + 1 + k);
+      if (item) els.upNextList.appendChild(item);
+    });
+  }
+
+  if (els.upNextSubtitle) {
+    const total = state.queue.length + upcoming.length;
+    els.upNextSubtitle.textContent =
+      total > 0
+        ? state.queue.length
+          ? `${state.queue.length} queued · then ${state.context.label}`
+          : `Next ${upcoming.length} from ${state.context.label}`
+        : state.repeatMode === "all" && state.order.length
+          ? `Repeats ${state.context.label} from the start`
+          : state.currentTrackIndex != null
+            ? "End of queue"
+            : "Queue will appear when you start playing";
+  }
+
+  updateMediaSessionActions();
+}
+
+function createUpNextLabel(text, withClear) {
+  const clearBtn = withClear ? createNode("button.pill-btn", {}, ["Clear"]) : null;
+  if (clearBtn) clearBtn.addEventListener("click", clearQueue);
+  return createNode("div.upnext-label", {}, [text, clearBtn]);
+}
+
+// `source` is "queue" or "order"; `pos` is the position in that list
+function createUpNextItem(trackId, source, pos) {
+  const t = state.tracks[indexOfTrackId(trackId)];
+  if (!t) return null;
+
+  const item = createNode(
+    `div.upnext-item${source === "queue" ? ".queued" : ""}`,
+    { dataset: { pos }, draggable: source === "queue" },
+    [
+      createCoverThumb(t),
+      createNode("button.upnext-meta", { "aria-label": `Play ${t.title} by ${t.artist}` }, [
+        createNode("span.upnext-title", {}, [t.title]),
+        createNode("span.upnext-artist", {}, [t.artist])
+      ]),
+      createNode(
+        "button.upnext-remove",
+        { title: "Remove from queue", "aria-label": "Remove from queue" },
+        ["✕"]
+      )
+    ]
+  );
+  item.querySelector(".upnext-remove").addEventListener("click", (e) => {
+    e.stopPropagation();
+    if (source === "queue") removeFromQueue(pos);
+    else removeFromOrder(pos);
+  });
+  item.addEventListener("click", () => {
+    if (source === "queue") playQueuePosition(pos);
+    else playOrderPosition(pos);
+  });
+  return item;
+}
+
+/* Drag-to-reorder for children of `container` matching `selector`. Items
+   carry their list position in `data-pos`; `onMove(from, to)` applies it. */
+function enableDragReorder(container, selector, onMove) {
+  let fromPos = null;
+
+  container.addEventListener("dragstart", (e) => {
+    const item = e.target.closest(selector);
+    if (!item) return;
+    fromPos = Number(item.dataset.pos);
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", String(fromPos)); // Firefox needs data
+    item.classList.add("dragging");
+  });
+
+  container.addEventListener("dragover", (e) => {
+    if (fromPos == null || !e.target.closest(selector)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "move";
+  });
+
+  container.addEventListener("drop", (e) => {
+    const item = e.target.closest(selector);
+    if (fromPos == null || !item) return;
+    e.preventDefault();
+    const from = fromPos;
+    const to = Number(item.dataset.pos);
+    fromPos = null;
+    if (from !== to) onMove(from, to);
+  });
+
+  container.addEventListener("dragend", (e) => {
+    fromPos = null;
+    const item = e.target.closest(selector);
+    if (item) item.classList.remove("dragging");
+  });
+}
+
+function moveArrayItem(arr, from, to) {
+  const [item] = arr.splice(from, 1);
+  arr.splice(to, 0, item);
+}
+
+/* ========== SEARCH ========== */
+
+// The index keeps each searchable field accent- and case-folded, with a
+// map back to positions in the original string for highlighting. Queries
+// are AND-ed terms; `artist:`, `album:` and `title:` scope a term to one
+// field and double quotes keep a phrase together.
+
+const SEARCH_DEBOUNCE_MS = 150;
+const SEARCH_FIELDS = { title: 3, artist: 2, album: 1 }; // field -> weight
+
+function handleSearchInput(q) {
+  if (!q.trim()) {
+    navigate("#/home");
+  } else if (parseRoute(location.hash).name === "search") {
+    // Refine the current search in place instead of adding history entries
+    history.replaceState(null, "", buildSearchHash(q));
+    renderRoute();
+  } else {
+    navigate(buildSearchHash(q));
+  }
+}
+
+function buildSearchIndex() {
+  state.searchIndex = state.tracks.map((t, index) => {
+    const entry = { index };
+    Object.keys(SEARCH_FIELDS).forEach((field) => {
+      entry[field] = indexField(t[field] || "");
+    });
+    return entry;
+  });
+}
+
+function indexField(text) {
+  const { norm, map } = foldWithMap(text);
+  const words = [];
+  const wordRe = /[\p{L}\p{N}]+/gu;
+  let m;
+  while ((m = wordRe.exec(norm))) {
+    words.push({ text: m[0], start: m.index });
+  }
+  return { norm, map, words };
+}
+
+// Lowercases and strips diacritics; map[i] is the index in `text` that
+// produced norm[i].
+function foldWithMap(text) {
+  let norm = "";
+  const map = [];
+  for (let i = 0; i < text.length; i++) {
+    const folded = foldText(text[i]);
+    for (let k = 0; k < folded.length; k++) map.push(i);
+    norm += folded;
+  }
+  return { norm, map };
+}
+
+function foldText(text) {
+  return text.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+}
+
+// "artist:conniff album:\"doo wop\" hustle" ->
+//   [{ field: "artist", text: "conniff" }, { field: "album", text: "doo wop" },
+//    { field: null, text: "hustle" }]
+function parseSearchQuery(query) {
+  const terms = [];
+  const re = /(?:(\w+):)?(?:"([^"]*)"|(\S+))/g;
+  let m;
+  while ((m = re.exec(query))) {
+    const field = m[1] && m[1].toLowerCase() in SEARCH_FIELDS ? m[1].toLowerCase() : null;
+    let text = m[2] != null ? m[2] : m[3];
+    // An unknown qualifier ("feat:x") is just part of the text
+    if (m[1] && !field) text = `${m[1]}:${text}`;
+    text = foldText(text.trim());
+    if (text) terms.push({ field, text });
+  }
+  return terms;
+}
+
+// Returns [{ index, score, highlights: { title, artist, album } }], best first
+function searchTracks(query) {
+  const terms = parseSearchQuery(query);
+  if (!terms.length) return [];
+
+  const results = [];
+  state.searchIndex.forEach((entry) => {
+    let score = 0;
+    const highlights = { title: [], artist: [], album: [] };
+
+    for (const term of terms) {
+      const fields = term.field ? [term.field] : Object.keys(SEARCH_FIELDS);
+      let best = null;
+      fields.forEach((field) => {
+        const match = matchSearchTerm(term.text, entry[field]);
+        if (!match) return;
+        const weighted = match.score * SEARCH_FIELDS[field];
+        if (!best || weighted > best.score) {
+          best = { score: weighted, field, range: match.range };
+        }
+      });
+      if (!best) return; // every term has to match
+
+      score += best.score;
+      const { map } = entry[best.field];
+      highlights[best.field].push([map[best.range[0]], map[best.range[1] - 1] + 1]);
+    }
+
+    results.push({ index: entry.index, score, highlights });
+  });
+
+  return results.sort(
+    (a, b) =>
+      b.score - a.score ||
+      state.tracks[a.index].title.localeCompare(state.tracks[b.index].title)
+  );
+}
+
+// Scores one query term against one indexed field. `range` is in folded
+// coordinates.
+function matchSearchTerm(term, field) {
+  const { norm, words } = field;
+  if (!norm) return null;
+
+  if (norm === term) return { score: 100, range: [0, norm.length] };
+  if (norm.startsWith(term)) return { score: 80, range: [0, term.length] };
+
+  const prefixed = words.find((w) => w.text.startsWith(term));
+  if (prefixed) {
+    return { score: 60, range: [prefixed.start, prefixed.start + term.length] };
+  }
+
+  const at = norm.indexOf(term);
+  if (at !== -1) return { score: 40, range: [at, at + term.length] };
+
+  // Typo tolerance for single words: one edit from 4 chars, two from 8
+  if (term.length < 4 || /\s/.test(term)) return null;
+  const maxEdits = term.length >= 8 ? 2 : 1;
+  let best = null;
+  words.forEach((w) => {
+    // Typos in the first letter are rare; skipping them keeps this cheap
+    if (w.text[0] !== term[0]) return;
+    const candidates = [w.text, w.text.slice(0, term.length)];
+    candidates.forEach((candidate) => {
+      const dist = editDistance(term, candidate, maxEdits);
+      if (dist <= maxEdits && (!best || dist < best.dist)) {
+        best = { dist, word: w };
+      }
+    });
+  });
+  if (!best) return null;
+  return {
+    score: 25 - best.dist * 8,
+    range: [best.word.start, best.word.start + best.word.text.length]
+  };
+}
+
+// Levenshtein distance, giving up (returns max + 1) once it exceeds `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      rowMin = Math.min(rowMin, cur[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// Fills `el` with `text`, wrapping `ranges` ([start, end) pairs) in <mark>
+function setHighlightedText(el, text, ranges) {
+  if (!el) return;
+  el.textContent = "";
+
+  const merged = (ranges || [])
+    .slice()
+    .sort((a, b) => a[0] - b[0])
+    .reduce((acc, r) => {
+      const last = acc[acc.length - 1];
+      if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+      else acc.push(r.slice());
+      return acc;
+    }, []);
+
+  let pos = 0;
+  merged.forEach(([start, end]) => {
+    if (start > pos) el.appendChild(document.createTextNode(text.slice(pos, start)));
+    el.appendChild(createNode("mark", {}, [text.slice(start, end)]));
+    pos = end;
+  });
+  if (pos < text.length) el.appendChild(document.createTextNode(text.slice(pos)));
+}
+
+/* ========== UI HANDLERS ========== */
+
+function attachUIHandlers() {
+  // Search (debounced so fast typing doesn't re-render per keystroke)
+  let searchTimer = null;
+  els.searchInput.addEventListener("input", (e) => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => handleSearchInput(e.target.value), SEARCH_DEBOUNCE_MS);
+  });
+
+  // Sidebar navigation
+  els.navItems.forEach((btn) => {
+    btn.addEventListener("click", () => navigate(`#/${btn.dataset.view}`));
+  });
+
+  els.libraryNoticeDismissBtn.addEventListener("click", () => {
+    els.libraryNotice.hidden = true;
+  });
+
+  // Track click, add to playlist & queue actions
+  els.trackGrid.addEventListener("click", (e) => {
+    const addBtn = e.target.closest(".add-to-playlist-btn");
+    if (addBtn) {
+      const idx = parseInt(addBtn.dataset.index, 10);
+      handleAddTrackToPlaylist(idx);
+      e.stopPropagation();
+      return;
+    }
+
+    const queueBtn = e.target.closest(".queue-btn");
+    if (queueBtn) {
+      const idx = parseInt(queueBtn.dataset.index, 10);
+      const action = queueBtn.dataset.action;
+      if (action === "play-next") playNext(idx);
+      else if (action === "download") toggleTrackDownload(idx);
+      else addToQueue(idx);
+      e.stopPropagation();
+      return;
+    }
+
+    // Artist and album links navigate instead of playing
+    if (e.target.closest(".meta-link")) return;
+
+    const card = e.target.closest(".track-card");
+    if (!card) return;
+    const index = parseInt(card.dataset.index, 10);
+    playTrackFromIndex(index, state.gridContext || undefined);
+  });
+
+  els.gridPlayBtn.addEventListener("click", () => playGridContext(false));
+
+  // All tracks
+  els.tracksScroller.addEventListener("scroll", scheduleTrackRows, { passive: true });
+  window.addEventListener("resize", () => {
+    if (!els.tracksView.hidden) scheduleTrackRows();
+  });
+  els.tracksSpacer.addEventListener("click", handleTrackRowClick);
+  els.tracksSelectAll.addEventListener("change", () =>
+    setAllTracksSelected(els.tracksSelectAll.checked)
+  );
+  els.tracksSortSelect.addEventListener("change", () =>
+    setTracksSort(els.tracksSortSelect.value)
+  );
+  els.tracksSortDirBtn.addEventListener("click", () =>
+    setTracksSort(state.tracksSort.key, -state.tracksSort.dir)
+  );
+  els.tracksView.querySelectorAll(".tracks-col").forEach((col) => {
+    col.addEventListener("click", () => setTracksSort(col.dataset.sort));
+  });
+  els.tracksBulkBar.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-bulk]");
+    if (btn) handleTracksBulkAction(btn.dataset.bulk);
+  });
+  els.gridShuffleBtn.addEventListener("click", () => playGridContext(true));
+
+  // Player controls
+  els.btnPlayPause.addEventListener("click", togglePlayPause);
+  els.btnNext.addEventListener("click", () => skipTrack(1));
+  els.btnPrev.addEventListener("click", () => skipTrack(-1));
+  els.btnShuffle.addEventListener("click", toggleShuffle);
+  els.btnRepeat.addEventListener("click", toggleRepeat);
+
+  els.volumeSlider.addEventListener("input", () => {
+    setAudioVolume(parseFloat(els.volumeSlider.value));
+    scheduleSessionSave();
+  });
+
+  // Audio events
+  onActiveAudio("timeupdate", updateProgress);
+  onActiveAudio("loadedmetadata", updateDurationLabel);
+  onActiveAudio("ended", handleTrackEnded);
+  onActiveAudio("pause", saveSession);
+  ["pause", "seeking", "ratechange"].forEach((type) => {
+    onActiveAudio(type, clearHandoverTimer);
+    onActiveAudio(type, clearLoopTimer);
+  });
+  ["loadedmetadata", "play", "pause", "seeked", "ratechange"].forEach((type) =>
+    onActiveAudio(type, updateMediaSessionPosition)
+  );
+
+  // Speed, fine seeking and A-B loop
+  els.speedSelect.addEventListener("change", () => {
+    setPlaybackRate(parseFloat(els.speedSelect.value));
+    scheduleSessionSave();
+  });
+  els.seekButtons.forEach((btn) => {
+    btn.addEventListener("click", () => seekBy(Number(btn.dataset.seek)));
+  });
+  els.loopBtn.addEventListener("click", cycleLoop);
+
+  // Equalizer
+  els.eqToggleBtn.addEventListener("click", () => toggleEqPanel());
+  els.eqEnabled.addEventListener("change", () => setEqEnabled(els.eqEnabled.checked));
+  els.eqPresetSelect.addEventListener("change", () => applyEqPreset(els.eqPresetSelect.value));
+  els.eqPreamp.addEventListener("input", () => setEqBand("preamp", els.eqPreamp.value));
+  els.eqBands.addEventListener("input", (e) => {
+    if (e.target.dataset.band != null) setEqBand(Number(e.target.dataset.band), e.target.value);
+  });
+  els.eqSavePresetBtn.addEventListener("click", saveEqPreset);
+  els.eqDeletePresetBtn.addEventListener("click", deleteEqPreset);
+  els.eqResetBtn.addEventListener("click", () => applyEqPreset("Flat"));
+
+  // Sleep timer
+  els.sleepBtn.addEventListener("click", () => toggleSleepMenu());
+  els.sleepMenu.addEventListener("click", handleSleepMenuClick);
+
+  document.addEventListener("click", (e) => {
+    if (!els.eqPanel.hidden && !e.target.closest("#eqPanel, #eqToggleBtn")) toggleEqPanel(false);
+    if (!els.sleepMenu.hidden && !e.target.closest("#sleepMenu, #sleepBtn")) toggleSleepMenu(false);
+  });
+  document.addEventListener("keydown", (e) => {
+    if (e.key !== "Escape") return;
+    if (!els.eqPanel.hidden) toggleEqPanel(false);
+    if (!els.sleepMenu.hidden) toggleSleepMenu(false);
+  });
+
+  els.normalizationSelect.addEventListener("change", () => {
+    setNormalizationMode(els.normalizationSelect.value);
+    scheduleSessionSave();
+  });
+  els.shuffleModeSelect.addEventListener("change", () => {
+    setShuffleMode(els.shuffleModeSelect.value);
+    scheduleSessionSave();
+  });
+
+  // Crossfade
+  els.crossfadeSlider.addEventListener("input", () => {
+    setCrossfade(parseFloat(els.crossfadeSlider.value));
+    clearHandoverTimer();
+    scheduleSessionSave();
+  });
+
+  // Catch the latest position when the tab is closed or backgrounded
+  window.addEventListener("pagehide", saveSession);
+  window.addEventListener("pagehide", () => finishListen(false));
+
+  els.progressBar.addEventListener("input", handleSeek);
+
+  // Up Next: reorder queued items
+  enableDragReorder(els.upNextList, ".upnext-item.queued", moveQueueItem);
+
+  // Playlists
+  els.newPlaylistBtn.addEventListener("click", () => createNewPlaylist());
+  els.playlistsNewBtn.addEventListener("click", () => {
+    const id = createNewPlaylist();
+    if (id) navigate(`#/playlist/${id}`);
+  });
+  els.playlistTiles.addEventListener("click", (e) => {
+    const tile = e.target.closest(".playlist-tile");
+    if (tile) navigate(`#/playlist/${tile.dataset.id}`);
+  });
+
+  els.playlistPlayBtn.addEventListener("click", () =>
+    playPlaylist(state.activePlaylistId, false)
+  );
+  els.playlistShuffleBtn.addEventListener("click", () =>
+    playPlaylist(state.activePlaylistId, true)
+  );
+  els.playlistRenameBtn.addEventListener("click", () =>
+    renamePlaylist(state.activePlaylistId)
+  );
+  els.playlistDownloadBtn.addEventListener("click", () => {
+    const pl = state.playlists[state.activePlaylistId];
+    if (pl) downloadTracks(pl.trackIds);
+  });
+  els.playlistRemoveDownloadsBtn.addEventListener("click", () => {
+    const pl = state.playlists[state.activePlaylistId];
+    if (pl) removeDownloads(pl.trackIds);
+  });
+  // Catalog sources
+  els.sourceForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    handleAddSource();
+  });
+
+  els.sourceList.addEventListener("change", (e) => {
+    const toggle = e.target.closest(".source-toggle");
+    if (toggle) setSourceEnabled(toggle.dataset.id, toggle.checked);
+  });
+
+  els.sourceList.addEventListener("click", (e) => {
+    const removeBtn = e.target.closest(".source-remove");
+    if (removeBtn) removeSource(removeBtn.dataset.id);
+  });
+
+  // Local files
+  els.localFilesBtn.addEventListener("click", () => els.localFileInput.click());
+  els.localFolderBtn.addEventListener("click", () => els.localFolderInput.click());
+  [els.localFileInput, els.localFolderInput].forEach((input) => {
+    input.addEventListener("change", () => {
+      importLocalFiles(Array.from(input.files || []));
+      input.value = "";
+    });
+  });
+  els.localClearBtn.addEventListener("click", removeAllLocalFiles);
+  attachFileDropHandlers();
+
+  els.clearDownloadsBtn.addEventListener("click", () => {
+    if (confirm("Remove all downloaded tracks from this device?")) {
+      removeDownloads(Object.keys(state.downloadedIds));
+    }
+  });
+  els.playlistDeleteBtn.addEventListener("click", () =>
+    deletePlaylist(state.activePlaylistId)
+  );
+
+  els.playlistTracks.addEventListener("click", (e) => {
+    const row = e.target.closest(".playlist-track");
+    if (!row) return;
+    const pos = Number(row.dataset.pos);
+    if (e.target.closest(".playlist-track-remove")) {
+      removeTrackFromPlaylist(state.activePlaylistId, pos);
+      return;
+    }
+    playPlaylistPosition(state.activePlaylistId, pos);
+  });
+  enableDragReorder(els.playlistTracks, ".playlist-track", (from, to) =>
+    movePlaylistTrack(state.activePlaylistId, from, to)
+  );
+
+  // Listening history and stats
+  els.historyList.addEventListener("click", handleHistoryClick);
+  els.statsPeriods.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-period]");
+    if (btn) navigate(buildStatsHash(btn.dataset.period));
+  });
+  els.statsExportCsvBtn.addEventListener("click", () => exportListeningStats("csv"));
+  els.statsExportJsonBtn.addEventListener("click", () => exportListeningStats("json"));
+
+  // Playlist picker
+  els.playlistPickerList.addEventListener("click", (e) => {
+    const option = e.target.closest(".picker-option");
+    if (!option) return;
+    addTracksToPlaylist(option.dataset.id, state.pickerTrackIds);
+    closePlaylistPicker();
+  });
+  els.playlistPickerNewBtn.addEventListener("click", () => {
+    const id = createNewPlaylist();
+    if (!id) return;
+    addTracksToPlaylist(id, state.pickerTrackIds);
+    closePlaylistPicker();
+  });
+  els.playlistPickerCancelBtn.addEventListener("click", closePlaylistPicker);
+
+  // Import / export
+  els.playlistExportBtn.addEventListener("click", () =>
+    openExportDialog([state.activePlaylistId])
+  );
+  els.playlistsExportBtn.addEventListener("click", () =>
+    openExportDialog(Object.keys(state.playlists))
+  );
+  els.playlistsImportBtn.addEventListener("click", () =>
+    els.playlistImportInput.click()
+  );
+  els.playlistImportInput.addEventListener("change", () => {
+    const files = Array.from(els.playlistImportInput.files || []);
+    els.playlistImportInput.value = "";
+    if (files.length) importPlaylistFiles(files);
+  });
+  els.exportConfirmBtn.addEventListener("click", () => {
+    const checked = els.exportDialog.querySelector('input[name="exportFormat"]:checked');
+    exportPlaylists(state.exportPlaylistIds, checked ? checked.value : "json");
+    els.exportDialog.close();
+  });
+  els.exportCancelBtn.addEventListener("click", () => els.exportDialog.close());
+  // Keyboard access: activation must run before shortcuts so Space on a
+  // card plays that card instead of toggling playback
+  document.addEventListener("keydown", handleActivationKey);
+  [els.playlistPicker, els.exportDialog, els.importSummary, els.shortcutsDialog].forEach((dialog) =>
+    dialog.addEventListener("close", () => restoreDialogFocus(dialog))
+  );
+
+  // Keyboard shortcuts
+  document.addEventListener("keydown", handleShortcutKey);
+  els.shortcutsBtn.addEventListener("click", openShortcutsDialog);
+  els.shortcutsList.addEventListener("click", (e) => {
+    const key = e.target.closest(".shortcut-key");
+    if (key) startShortcutRebind(key.dataset.action);
+  });
+  els.shortcutsResetBtn.addEventListener("click", resetShortcuts);
+  els.shortcutsCloseBtn.addEventListener("click", () => els.shortcutsDialog.close());
+  els.shortcutsDialog.addEventListener("close", () => {
+    state.rebindingAction = null;
+  });
+
+  els.importSummaryCloseBtn.addEventListener("click", () =>
+    els.importSummary.close()
+  );
+}
+
+/* ========== ROUTER ========== */
+
+// Hash routes: #/home, #/playlists, #/playlist/:id, #/search?q=, #/artists,
+// #/artist/:name, #/albums, #/album/:artist/:album, #/tracks, #/diagnostics,
+// #/settings
+const routes = {
+  home: renderHomeRoute,
+  playlists: renderPlaylistsRoute,
+  playlist: renderPlaylistRoute,
+  search: renderSearchRoute,
+  tracks: renderTracksRoute,
+  artists: renderArtistsRoute,
+  artist: renderArtistRoute,
+  albums: renderAlbumsRoute,
+  album: renderAlbumRoute,
+  history: renderHistoryRoute,
+  stats: renderStatsRoute,
+  diagnostics: renderDiagnosticsRoute,
+  settings: renderSettingsRoute
+};
+
+function initRouter() {
+  window.addEventListener("hashchange", renderRoute);
+  renderRoute();
+}
+
+function parseRoute(hash) {
+  const raw = (hash || "").replace(/^#\/?/, "");
+  const qAt = raw.indexOf("?");
+  const path = qAt === -1 ? raw : raw.slice(0, qAt);
+  const query = qAt === -1 ? "" : raw.slice(qAt + 1);
+
+  const parts = path.split("/").filter(Boolean).map((p) => {
+    try {
+      return decodeURIComponent(p);
+    } catch (e) {
+      return p;
+    }
+  });
+
+  return {
+    name: parts[0] || "home",
+    args: parts.slice(1),
+    params: new URLSearchParams(query)
+  };
+}
+
+function navigate(hash) {
+  if (location.hash === hash) {
+    renderRoute();
+  } else {
+    location.hash = hash;
+  }
+}
+
+function buildSearchHash(q) {
+  return `#/search?${new URLSearchParams({ q }).toString()}`;
+}
+
+function buildArtistHash(artist) {
+  return `#/artist/${encodeURIComponent(artist)}`;
+}
+
+function buildAlbumHash(artist, album) {
+  return `#/album/${encodeURIComponent(artist)}/${encodeURIComponent(album)}`;
+}
+
+function renderRoute() {
+  const route = parseRoute(location.hash);
+  const render = routes[route.name];
+  if (!render) {
+    history.replaceState(null, "", "#/home");
+    renderHomeRoute();
+    return;
+  }
+
+  if (route.name !== "search" && els.searchInput.value) {
+    els.searchInput.value = "";
+  }
+  render(route);
+}
+
+// view -> [section in els, highlighted sidebar nav item]
+const VIEWS = {
+  home: ["gridView", "home"],
+  search: ["gridView", "home"],
+  tracks: ["tracksView", "tracks"],
+  artists: ["browseView", "artists"],
+  artist: ["gridView", "artists"],
+  albums: ["browseView", "albums"],
+  album: ["gridView", "albums"],
+  playlists: ["playlistsView", "playlists"],
+  playlist: ["playlistView", "playlists"],
+  history: ["historyView", "history"],
+  stats: ["statsView", "stats"],
+  diagnostics: ["diagnosticsView", null],
+  settings: ["settingsView", "settings"]
+};
+
+function showView(name) {
+  const [section, nav] = VIEWS[name];
+  new Set(Object.values(VIEWS).map((v) => v[0])).forEach((key) => {
+    els[key].hidden = key !== section;
+  });
+
+  els.navItems.forEach((btn) => {
+    btn.classList.toggle("nav-item-active", btn.dataset.view === nav);
+  });
+
+  if (name !== "playlist" && state.activePlaylistId) {
+    state.activePlaylistId = null;
+    renderPlaylistSidebar();
+  }
+}
+
+function setGridHeader(title, subtitle) {
+  els.gridTitle.textContent = title;
+  els.gridSubtitle.textContent = subtitle;
+}
+
+// Artist and album pages play their own tracks; other grids play the library
+function setGridContext(context) {
+  state.gridContext = context;
+  els.gridActions.hidden = !context || !context.ids.length;
+}
+
+function renderHomeRoute() {
+  showView("home");
+  setGridHeader("Just for you", "Daily mix · new picks tomorrow");
+  setGridContext(null);
+  if (!state.tracks.length) return;
+  if (state.dailyMix.date !== getLocalDateKey()) buildDailyMix();
+  renderTrackGrid();
+}
+
+function renderSearchRoute(route) {
+  const q = route.params.get("q") || "";
+  if (els.searchInput.value !== q) els.searchInput.value = q;
+
+  showView("search");
+  setGridHeader("Search", `Results for “${q}”`);
+  setGridContext(null);
+  if (state.tracks.length) renderSearchResults(q);
+}
+
+function renderArtistsRoute() {
+  showView("artists");
+  const artists = groupTracks((t) => t.artist, (t) => ({ name: t.artist }));
+  els.browseTitle.textContent = "Artists";
+  els.browseSubtitle.textContent = `${artists.length} artist${artists.length === 1 ? "" : "s"}`;
+
+  renderBrowseTiles(
+    artists.sort((a, b) => a.name.localeCompare(b.name)),
+    (artist) => ({
+      hash: buildArtistHash(artist.name),
+      name: artist.name,
+      detail: `${artist.indices.length} track${artist.indices.length === 1 ? "" : "s"}`,
+      isArtist: true
+    })
+  );
+}
+
+function renderAlbumsRoute() {
+  showView("albums");
+  const albums = groupTracks(
+    (t) => (t.album ? `${t.artist}\n${t.album}` : null),
+    (t) => ({ name: t.album, artist: t.artist })
+  );
+  els.browseTitle.textContent = "Albums";
+  els.browseSubtitle.textContent = `${albums.length} album${albums.length === 1 ? "" : "s"}`;
+
+  renderBrowseTiles(
+    albums.sort((a, b) => a.name.localeCompare(b.name) || a.artist.localeCompare(b.artist)),
+    (album) => ({
+      hash: buildAlbumHash(album.artist, album.name),
+      name: album.name,
+      detail: `${album.artist} · ${album.indices.length} track${album.indices.length === 1 ? "" : "s"}`,
+      isArtist: false
+    })
+  );
+}
+
+// Groups state.tracks by a case-insensitive key; tracks whose key is null
+// are left out. Each group carries the track indices and the first cover.
+function groupTracks(keyOf, describe) {
+  const groups = new Map();
+  state.tracks.forEach((track, i) => {
+    const key = keyOf(track);
+    if (key == null) return;
+    const folded = key.toLowerCase();
+    let group = groups.get(folded);
+    if (!group) {
+      group = { ...describe(track), indices: [], cover: "" };
+      groups.set(folded, group);
+    }
+    group.indices.push(i);
+    if (!group.cover && track.cover && track.cover !== "undefined") group.cover = track.cover;
+  });
+  return Array.from(groups.values());
+}
+
+function renderBrowseTiles(groups, describeTile) {
+  els.browseTiles.innerHTML = "";
+  if (!state.tracks.length) return;
+
+  const fragment = document.createDocumentFragment();
+  groups.forEach((group) => {
+    const { hash, name, detail, isArtist } = describeTile(group);
+    const tile = createNode(`a.browse-tile${isArtist ? ".is-artist" : ""}`, { href: hash }, [
+      createNode("img.track-cover", { loading: "lazy", alt: "", src: getCoverUrl(group, 300, name) }),
+      createNode("span.playlist-name", {}, [name]),
+      createNode("span.playlist-count", {}, [detail])
+    ]);
+    fragment.appendChild(tile);
+  });
+  els.browseTiles.appendChild(fragment);
+
+  if (!groups.length) {
+    els.browseTiles.appendChild(createEmptyMessage("div.playlist-empty", "Nothing to browse yet."));
+  }
+}
+
+// Album, then track number, then title
+function compareAlbumTracks(a, b) {
+  return (
+    a.album.localeCompare(b.album) ||
+    (a.trackNumber ?? Infinity) - (b.trackNumber ?? Infinity) ||
+    a.title.localeCompare(b.title)
+  );
+}
+
+function renderArtistRoute(route) {
+  const name = route.args[0] || "";
+  showView("artist");
+  setGridHeader(name || "Artist", "Artist");
+  setGridContext(null);
+  if (!state.tracks.length) return;
+
+  const key = name.toLowerCase();
+  const indices = state.tracks
+    .map((track, i) => i)
+    .filter((i) => state.tracks[i].artist.toLowerCase() === key)
+    .sort((a, b) => compareAlbumTracks(state.tracks[a], state.tracks[b]));
+  renderGroupGrid(indices, `artist:${key}`, name, "No tracks by this artist.");
+}
+
+function renderAlbumRoute(route) {
+  const [artist = "", album = ""] = route.args;
+  showView("album");
+  setGridHeader(album || "Album", artist);
+  setGridContext(null);
+  if (!state.tracks.length) return;
+
+  const artistKey = artist.toLowerCase();
+  const albumKey = album.toLowerCase();
+  const indices = state.tracks
+    .map((track, i) => i)
+    .filter(
+      (i) =>
+        state.tracks[i].artist.toLowerCase() === artistKey &&
+        state.tracks[i].album.toLowerCase() === albumKey
+    )
+    .sort((a, b) => compareAlbumTracks(state.tracks[a], state.tracks[b]));
+  renderGroupGrid(indices, `album:${artistKey}\n${albumKey}`, album, "No tracks on this album.");
+}
+
+function renderGroupGrid(indices, contextKey, label, emptyMessage) {
+  els.trackGrid.innerHTML = "";
+  const fragment = document.createDocumentFragment();
+  indices.forEach((i) => fragment.appendChild(createTrackCard(state.tracks[i], i)));
+  els.trackGrid.appendChild(fragment);
+
+  if (!indices.length) {
+    els.trackGrid.appendChild(createEmptyMessage("div.playlist-empty", emptyMessage));
+  } else {
+    els.gridSubtitle.textContent += ` · ${indices.length} track${indices.length === 1 ? "" : "s"}`;
+  }
+  setGridContext({
+    key: contextKey,
+    label,
+    ids: indices.map((i) => state.tracks[i].id)
+  });
+}
+
+function playGridContext(shuffle) {
+  const context = state.gridContext;
+  if (!context || !context.ids.length) return;
+
+  setPlaybackContext({ ...context, shuffle }, null);
+  playOrderPosition(0);
+}
+
+function renderDiagnosticsRoute() {
+  showView("diagnostics");
+  renderDiagnostics();
+}
+
+function renderSettingsRoute() {
+  showView("settings");
+  renderSettings();
+}
+
+function renderSettings() {
+  renderSourceList();
+  renderLocalFiles();
+}
+
+function renderPlaylistsRoute() {
+  showView("playlists");
+  renderPlaylistTiles();
+}
+
+function renderPlaylistRoute(route) {
+  const id = route.args[0];
+  if (!state.playlists[id]) {
+    history.replaceState(null, "", "#/playlists");
+    renderPlaylistsRoute();
+    return;
+  }
+  openPlaylist(id);
+}
+
+/* ========== NOTIFICATIONS ========== */
+
+async function ensureNotificationPermission() {
+  if (!("Notification" in window)) return false;
+
+  if (Notification.permission === "granted") return true;
+  if (Notification.permission === "denied") return false;
+
+  const result = await Notification.requestPermission();
+  return result === "granted";
+}
+
+function notifyNowPlaying(track) {
+  if (!("Notification" in window)) return;
+  if (Notification.permission !== "granted") return;
+
+  new Notification("Symphonia – Now playing", {
+    body: `${track.title} — ${track.artist}`,
+    icon: safeImageUrl(track.cover) || undefined,
+    tag: "symphonia-now-playing"
+  });
+}
+
+/* ========== PLAYBACK LOGIC ========== */
+
+function togglePlayPause() {
+  if (!state.tracks.length) return;
+
+  if (state.isPlaying) {
+    pausePlayback();
+  } else {
+    // Ask for notification permission once, on user gesture
+    if (!state.notificationsPrompted) {
+      state.notificationsPrompted = true;
+      ensureNotificationPermission();
+    }
+
+    initVisualizer();
+    els.audio.play().catch((err) => {
+      console.error("audio.play() failed:", err);
+    });
+    startVisualizerLoop();
+  }
+}
+
+function pausePlayback() {
+  els.audio.pause();
+  finishCrossfade();
+  stopVisualizerLoop();
+}
+
+// `context` ({ key, label, ids }) is what playback continues with
+// afterwards; defaults to the whole library.
+function playTrackFromIndex(index, context = getLibraryContext()) {
+  const track = state.tracks[index];
+  if (!track) {
+    console.warn("playTrackFromIndex: no track at index", index);
+    return;
+  }
+
+  const posInOrder = state.order.indexOf(track.id);
+  if (context.key !== state.context.key || posInOrder === -1) {
+    setPlaybackContext(context, track.id);
+  } else {
+    state.orderIndex = posInOrder;
+  }
+
+  state.playingFromQueue = false;
+  loadTrackByIndex(index, true);
+}
+
+function loadTrackByIndex(index, autoplay = true) {
+  // Validate index
+  const idx = Number.parseInt(index, 10);
+  if (!Number.isFinite(idx) || idx < 0 || idx >= state.tracks.length) {
+    console.error("loadTrackByIndex: invalid index", index);
+    return;
+  }
+
+  const track = state.tracks[idx];
+  if (!track) {
+    console.warn("loadTrackByIndex: no track at index", idx);
+    return;
+  }
+
+  console.log("=== DEBUG: loadTrackByIndex called ===");
+  console.log("Index:", idx);
+  console.log("Track keys:", Object.keys(track));
+
+  // Get the src - check multiple possible field names
+  let src = track.src || track.url || track.link || "";
+  src = String(src).trim();
+
+  if (!src || src === "undefined") {
+    console.error("loadTrackByIndex: track has no valid src/url/link", track);
+    return; // avoid setting audio to undefined
+  }
+
+  console.log("✓ Using source URL:", src);
+
+  state.currentTrackIndex = idx;
+  state.playCounted = false;
+
+  // The outgoing track was finished if this is an automatic transition
+  finishListen(state.autoAdvance);
+
+  // Automatic transitions crossfade (or overlap briefly, see GAPLESS &
+  // CROSSFADE); manual skips cut straight over
+  const fadeSeconds = state.autoAdvance ? state.crossfade || GAPLESS_OVERLAP_SECONDS : 0;
+  state.autoAdvance = false;
+  clearHandoverTimer();
+  clearLoop();
+
+  if (!handOverToPreloaded(track, fadeSeconds)) {
+    finishCrossfade();
+
+    // Safely set the audio source
+    try {
+      els.audio.src = src;
+      console.log("Audio src set to:", els.audio.src);
+    } catch (e) {
+      console.error("Error setting audio src:", e);
+      return;
+    }
+
+    els.audio.load();
+    console.log("Audio loaded. currentSrc:", els.audio.currentSrc);
+  }
+
+  els.playerTitle.textContent = track.title || "Unknown title";
+  renderPlayerMeta(track);
+  if (autoplay) announce(`Now playing: ${track.title} by ${track.artist}`);
+
+  els.playerCover.style.backgroundImage = cssUrl(getCoverUrl(track, 300, "symphoniaplayer"));
+
+  applyNormalization(els.audio, track, false);
+  startLoudnessMeter(els.audio, track);
+  updateMediaSessionMetadata(track);
+  renderUpNext();
+  refreshTracksTable(false);
+  scheduleSessionSave();
+
+  if (autoplay) {
+    notifyNowPlaying(track);
+    initVisualizer();
+    els.audio.play().catch((err) => {
+      console.error("audio.play() failed:", err);
+    });
+    startVisualizerLoop();
+  }
+}
+
+function renderPlayerMeta(track) {
+  els.playerArtist.textContent = track.artist || "Unknown artist";
+  els.playerArtist.href = buildArtistHash(track.artist);
+
+  els.playerAlbum.hidden = els.playerAlbumSep.hidden = !track.album;
+  els.playerAlbum.textContent = track.album || "";
+  if (track.album) els.playerAlbum.href = buildAlbumHash(track.artist, track.album);
+}
+
+function updateProgress() {
+  const current = els.audio.currentTime || 0;
+  const total = els.audio.duration || 0;
 
   if (total > 0) {
     const percent = (current / total) * 100;
     els.progressBar.value = percent;
+    maybeCountPlay(current, total);
+    trackListenProgress(current, total);
+    checkLoop(current);
+    checkTrackHandover(current, total);
+  } else {
+    els.progressBar.value = 0;
+  }
+
+  els.currentTimeLabel.textContent = formatTime(current);
+  els.progressBar.setAttribute("aria-valuetext", `${formatTime(current)} of ${formatTime(total)}`);
+
+  // timeupdate fires several times a second; persist the position sparingly
+  if (Date.now() - lastSessionSaveAt > SESSION_SAVE_INTERVAL_MS) {
+    saveSession();
+  }
+
+  if (els.audio.paused) {
+    state.isPlaying = false;
+    els.btnPlayPause.textContent = "▶";
+    els.btnPlayPause.setAttribute("aria-label", "Play");
+    updateMediaSessionPlaybackState("paused");
+    stopVisualizerLoop();
+  } else {
+    state.isPlaying = true;
+    els.btnPlayPause.textContent = "⏸";
+    els.btnPlayPause.setAttribute("aria-label", "Pause");
+    updateMediaSessionPlaybackState("playing");
+  }
+}
+
+function updateDurationLabel() {
+  const total = els.audio.duration || 0;
+  els.totalTimeLabel.textContent = formatTime(total);
+}
+
+function handleSeek() {
+  const total = els.audio.duration || 0;
+  const percent = parseFloat(els.progressBar.value);
+  if (total > 0) {
+    els.audio.currentTime = (percent / 100) * total;
+  }
+}
+
+function handleTrackEnded() {
+  finishListen(true);
+  if (isSleepAtTrackEnd()) {
+    fireSleepTimer();
+    return;
+  }
+  if (state.repeatMode === "one") {
+    state.playCounted = false;
+    els.audio.currentTime = 0;
+    els.audio.play().catch((err) =>
+      console.error("audio.play() failed after repeat:", err)
+    );
+    return;
+  }
+  if (!hasNextTrack()) {
+    stopPlayback();
+    return;
+  }
+  skipTrack(1);
+}
+
+// Repeat semantics are the same with and without shuffle:
+//   off - stop after the last queued / context track
+//   all - start a new pass over the context (reshuffled when shuffle is on)
+//   one - replay the current track when it ends; next/prev still move on
+function skipTrack(direction) {
+  if (!state.tracks.length) return;
+
+  if (direction > 0) {
+    // Queued tracks always play before the context continues
+    if (state.queue.length) {
+      playQueuePosition(0);
+      return;
+    }
+
+    let pos = state.orderIndex + 1;
+    if (pos >= state.order.length) {
+      if (state.repeatMode === "off" || !state.order.length) return;
+      startNewPass();
+      pos = 0;
+    }
+    playOrderPosition(pos);
+    return;
+  }
+
+  // Going back from a queued track returns to the context track before it
+  let pos = state.playingFromQueue ? state.orderIndex : state.orderIndex - 1;
+  if (pos < 0) {
+    if (state.repeatMode === "off") {
+      els.audio.currentTime = 0;
+      return;
+    }
+    pos = state.order.length - 1;
+  }
+  playOrderPosition(pos);
+}
+
+function hasNextTrack() {
+  return (
+    state.queue.length > 0 ||
+    state.orderIndex + 1 < state.order.length ||
+    (state.repeatMode !== "off" && state.order.length > 0)
+  );
+}
+
+// Repeat all: wrap to the start of the context
+function startNewPass() {
+  if (isOrderShuffled()) {
+    state.order = getNextPass();
+    state.nextPass = null;
+  } else {
+    rebuildOrder(null);
+  }
+  state.orderIndex = -1;
+}
+
+// The reshuffled order for the next repeat-all pass, drawn ahead of time so
+// its first track can be preloaded. It never starts with the track that
+// ends this pass.
+function getNextPass() {
+  if (!state.nextPass) state.nextPass = shuffleIds(state.context.ids.slice(), null);
+  const next = state.nextPass;
+  const lastId = state.order[state.order.length - 1];
+  if (next.length > 1 && next[0] === lastId) moveArrayItem(next, 0, next.length - 1);
+  return next;
+}
+
+function stopPlayback() {
+  els.audio.pause();
+  finishCrossfade();
+  els.audio.currentTime = 0;
+  stopVisualizerLoop();
+  updateMediaSessionPlaybackState("paused");
+}
+
+function toggleShuffle() {
+  setShuffleEnabled(!isOrderShuffled());
+}
+
+// The shuffle button sets the user's shuffle setting, which also ends any
+// per-context choice (see isOrderShuffled)
+function setShuffleEnabled(enabled) {
+  state.shuffleEnabled = enabled;
+  delete state.context.shuffle;
+  renderShuffleButton();
+
+  // Re-order what is left of the context around the last context track;
+  // the user queue is left untouched.
+  rebuildOrder(state.order[state.orderIndex]);
+  renderUpNext();
+  scheduleSessionSave();
+}
+
+// A context started from a Play or Shuffle button carries its own
+// `shuffle`; any other context follows the shuffle setting
+function isOrderShuffled(context = state.context) {
+  return typeof context.shuffle === "boolean" ? context.shuffle : state.shuffleEnabled;
+}
+
+function renderShuffleButton() {
+  const on = isOrderShuffled();
+  els.btnShuffle.style.background = on ? "rgba(255, 79, 154, 0.65)" : "rgba(24, 30, 58, 0.9)";
+  els.btnShuffle.setAttribute("aria-pressed", String(on));
+}
+
+const REPEAT_MODES = ["off", "all", "one"];
+
+function toggleRepeat() {
+  const next = (REPEAT_MODES.indexOf(state.repeatMode) + 1) % REPEAT_MODES.length;
+  setRepeatMode(REPEAT_MODES[next]);
+}
+
+function setRepeatMode(mode) {
+  state.repeatMode = REPEAT_MODES.includes(mode) ? mode : "off";
+  els.btnRepeat.textContent = state.repeatMode === "one" ? "🔂" : "🔁";
+  els.btnRepeat.title = `Repeat (${state.repeatMode})`;
+  els.btnRepeat.setAttribute("aria-label", els.btnRepeat.title);
+  els.btnRepeat.setAttribute("aria-pressed", String(state.repeatMode !== "off"));
+  els.btnRepeat.style.background =
+    state.repeatMode === "off"
+      ? "rgba(24, 30, 58, 0.9)"
+      : "rgba(255, 79, 154, 0.65)";
+  renderUpNext();
+  updateMediaSessionActions();
+  scheduleSessionSave();
+}
+
+function formatTime(sec) {
+  sec = Math.floor(sec);
+  const m = Math.floor(sec / 60);
+  const s = sec % 60;
+  return `${m}:${s.toString().padStart(2, "0")}`;
+}
+
+/* ========== PLAY QUEUE ========== */
+
+// Playback walks `state.order`, the current context in play order. Tracks
+// queued with "Play next" / "Add to queue" sit in `state.queue` and are
+// played first; shuffle only ever re-orders the context.
+
+function getLibraryContext() {
+  return {
+    key: "library",
+    label: "Library",
+    ids: state.tracks.map((t) => t.id)
+  };
+}
+
+function setPlaybackContext(context, currentId) {
+  state.context = copyContext(context, context.ids.slice());
+  rebuildOrder(currentId);
+  renderShuffleButton();
+}
+
+function copyContext(context, ids) {
+  const copy = { key: context.key, label: context.label, ids };
+  if (typeof context.shuffle === "boolean") copy.shuffle = context.shuffle;
+  return copy;
+}
+
+function rebuildOrder(currentId) {
+  const ids = state.context.ids;
+  state.nextPass = null;
+  const hasCurrent = currentId != null && ids.includes(currentId);
+
+  if (isOrderShuffled()) {
+    const rest = shuffleIds(ids.filter((id) => id !== currentId), hasCurrent ? currentId : null);
+    state.order = hasCurrent ? [currentId, ...rest] : rest;
+    state.orderIndex = hasCurrent ? 0 : -1;
+  } else {
+    state.order = ids.slice();
+    state.orderIndex = ids.indexOf(currentId);
+  }
+}
+
+// Re-applies a context/order to the current library: tracks that
+// disappeared are dropped and tracks new to the context are appended.
+function reconcileOrder(context, order, orderIndex) {
+  const exists = (id) => indexOfTrackId(id) !== -1;
+  const ids =
+    context.key === "library"
+      ? getLibraryContext().ids
+      : (context.ids || []).filter(exists);
+
+  const kept = order.filter(exists);
+  const inOrder = new Set(kept);
+  const added = ids.filter((id) => !inOrder.has(id));
+  kept.push(...(isOrderShuffled(context) ? shuffleIds(added) : added));
+
+  state.context = copyContext(context, ids);
+  state.order = kept;
+  state.nextPass = null;
+  state.orderIndex = order.slice(0, orderIndex + 1).filter(exists).length - 1;
+  renderShuffleButton();
+}
+
+function playOrderPosition(pos) {
+  const id = state.order[pos];
+  if (id == null) return;
+  state.orderIndex = pos;
+  state.playingFromQueue = false;
+  loadTrackByIndex(indexOfTrackId(id), true);
+}
+
+function playQueuePosition(pos) {
+  const [id] = state.queue.splice(pos, 1);
+  if (id == null) return;
+  state.playingFromQueue = true;
+  loadTrackByIndex(indexOfTrackId(id), true);
+}
+
+function playNext(trackIndex) {
+  const track = state.tracks[trackIndex];
+  if (!track) return;
+  state.queue.unshift(track.id);
+  renderUpNext();
+  scheduleSessionSave();
+}
+
+function addToQueue(trackIndex) {
+  const track = state.tracks[trackIndex];
+  if (!track) return;
+  state.queue.push(track.id);
+  renderUpNext();
+  scheduleSessionSave();
+}
+
+function moveQueueItem(from, to) {
+  moveArrayItem(state.queue, from, to);
+  renderUpNext();
+  scheduleSessionSave();
+}
+
+function removeFromQueue(pos) {
+  state.queue.splice(pos, 1);
+  renderUpNext();
+  scheduleSessionSave();
+}
+
+// Drops an upcoming context track for this pass through the context
+function removeFromOrder(pos) {
+  if (pos <= state.orderIndex) return;
+  state.order.splice(pos, 1);
+  renderUpNext();
+  scheduleSessionSave();
+}
+
+function clearQueue() {
+  state.queue = [];
+  renderUpNext();
+  scheduleSessionSave();
+}
+
+/* ========== OFFLINE DOWNLOADS ========== */
+
+// Audio is fetched by the page (so progress can be shown) and stored in
+// AUDIO_CACHE_NAME under its resolved URL; the service worker answers
+// requests for those URLs, including Range requests, from that cache.
+
+function audioCacheKey(src) {
+  return new URL(src, location.href).href;
+}
+
+async function loadDownloadedTracks() {
+  if (!("caches" in window)) return;
+
+  try {
+    const cache = await caches.open(AUDIO_CACHE_NAME);
+    const keys = await cache.keys();
+    const cached = new Set(keys.map((req) => req.url));
+
+    state.downloadedIds = {};
+    state.tracks.forEach((t) => {
+      if (cached.has(audioCacheKey(t.src))) state.downloadedIds[t.id] = true;
+    });
+  } catch (e) {
+    console.warn("Error reading offline downloads:", e);
+  }
+
+  updateDownloadBadges();
+  updateDownloadStatus();
+}
+
+function toggleTrackDownload(trackIndex) {
+  const track = state.tracks[trackIndex];
+  if (!track) return;
+  if (state.downloadedIds[track.id]) removeDownloads([track.id]);
+  else downloadTracks([track.id]);
+}
+
+async function downloadTracks(trackIds) {
+  if (!("caches" in window)) {
+    updateDownloadStatus("Offline downloads are not supported in this browser.");
+    return;
+  }
+  if (state.downloadBusy) {
+    updateDownloadStatus("Another download is still running…");
+    return;
+  }
+
+  const tracks = trackIds
+    .map((id) => state.tracks[indexOfTrackId(id)])
+    .filter((t) => t && t.source !== LOCAL_SOURCE_ID && !state.downloadedIds[t.id]);
+  if (!tracks.length) {
+    updateDownloadStatus();
+    return;
+  }
+
+  // Ask the browser not to evict the cache under storage pressure
+  if (navigator.storage && navigator.storage.persist) {
+    navigator.storage.persist().catch(() => {});
+  }
+
+  state.downloadBusy = true;
+  let failed = 0;
+
+  for (let k = 0; k < tracks.length; k++) {
+    const track = tracks[k];
+    const prefix = `Downloading ${k + 1}/${tracks.length}: ${track.title}`;
+    updateDownloadStatus(prefix);
+
+    try {
+      await downloadTrackAudio(track, (received, total) => {
+        updateDownloadStatus(
+          total
+            ? `${prefix} · ${Math.round((received / total) * 100)}%`
+            : `${prefix} · ${formatBytes(received)}`
+        );
+      });
+      state.downloadedIds[track.id] = true;
+      updateDownloadBadges();
+    } catch (e) {
+      failed++;
+      console.warn(`Download failed for "${track.title}":`, e);
+      if (e && e.name === "QuotaExceededError") {
+        updateDownloadStatus("Storage is full – remove some downloads and try again.");
+        state.downloadBusy = false;
+        return;
+      }
+    }
+  }
+
+  state.downloadBusy = false;
+  updateDownloadStatus(
+    failed ? `${failed} of ${tracks.length} downloads failed.` : undefined
+  );
+}
+
+async function downloadTrackAudio(track, onProgress) {
+  const res = await fetch(track.src, { mode: "cors" });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+  const total = Number(res.headers.get("Content-Length")) || 0;
+  const chunks = [];
+  let received = 0;
+
+  if (res.body && res.body.getReader) {
+    const reader = res.body.getReader();
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      received += value.length;
+      onProgress(received, total);
+    }
+  } else {
+    chunks.push(await res.arrayBuffer());
+  }
+
+  const blob = new Blob(chunks, {
+    type: res.headers.get("Content-Type") || "audio/mpeg"
+  });
+
+  // Store a plain response so the service worker can slice it for Range requests
+  const cache = await caches.open(AUDIO_CACHE_NAME);
+  await cache.put(
+    audioCacheKey(track.src),
+    new Response(blob, {
+      headers: {
+        "Content-Type": blob.type,
+        "Content-Length": String(blob.size)
+      }
+    })
+  );
+}
+
+async function removeDownloads(trackIds) {
+  if (!("caches" in window)) return;
+
+  try {
+    const cache = await caches.open(AUDIO_CACHE_NAME);
+    for (const id of trackIds) {
+      const track = state.tracks[indexOfTrackId(id)];
+      if (track) await cache.delete(audioCacheKey(track.src));
+      delete state.downloadedIds[id];
+    }
+  } catch (e) {
+    console.warn("Error removing downloads:", e);
+  }
+
+  updateDownloadBadges();
+  updateDownloadStatus();
+}
+
+function setDownloadBadge(card, track) {
+  const downloaded = !!state.downloadedIds[track.id];
+  card.classList.toggle("downloaded", downloaded);
+
+  const btn = card.querySelector(".download-btn");
+  if (btn) {
+    btn.textContent = downloaded ? "✓ Offline" : "⬇";
+    btn.title = downloaded ? "Remove download" : "Download for offline";
+  }
+}
+
+function updateDownloadBadges() {
+  els.trackGrid.querySelectorAll(".track-card").forEach((card) => {
+    const track = state.tracks[Number(card.dataset.index)];
+    if (track) setDownloadBadge(card, track);
+  });
+}
+
+// Without a message, shows the download count and storage usage
+async function updateDownloadStatus(message) {
+  if (!els.downloadStatus) return;
+  if (message) {
+    els.downloadStatus.textContent = message;
+    return;
+  }
+
+  const count = Object.keys(state.downloadedIds).length;
+  let text = `${count} track${count === 1 ? "" : "s"} available offline`;
+
+  if (navigator.storage && navigator.storage.estimate) {
+    try {
+      const { usage, quota } = await navigator.storage.estimate();
+      if (quota) text += ` · ${formatBytes(usage)} of ${formatBytes(quota)} used`;
+    } catch (e) {
+      // estimate() is best-effort
+    }
+  }
+  if (!state.downloadBusy) els.downloadStatus.textContent = text;
+}
+
+function formatBytes(bytes) {
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  let value = bytes || 0;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit ? 1 : 0)} ${units[unit]}`;
+}
+
+/* ========== PLAYBACK SESSION ========== */
+
+// The current track, position, context/order, queue and player settings
+// are saved next to the playlists and restored (paused) on the next load.
+
+const SESSION_SAVE_INTERVAL_MS = 5000;
+let lastSessionSaveAt = 0;
+let sessionSaveTimer = null;
+
+function loadPlaybackSession() {
+  try {
+    const raw = localStorage.getItem(SESSION_STORAGE_KEY);
+    if (!raw) return;
+    const session = JSON.parse(raw);
+    state.savedSession = session;
+
+    // Player settings don't need the catalog, apply them right away
+    if (typeof session.volume === "number") {
+      els.volumeSlider.value = session.volume;
+      setAudioVolume(session.volume);
+    }
+    if (typeof session.crossfade === "number") {
+      setCrossfade(session.crossfade);
+    }
+    if (typeof session.playbackRate === "number") {
+      setPlaybackRate(session.playbackRate);
+    }
+    if (session.normalization) {
+      setNormalizationMode(session.normalization);
+    }
+    if (session.shuffleMode) {
+      setShuffleMode(session.shuffleMode);
+    }
+    if (typeof session.shuffleEnabled === "boolean") {
+      setShuffleEnabled(session.shuffleEnabled);
+    }
+    if (session.repeatMode) {
+      setRepeatMode(session.repeatMode);
+    }
+  } catch (e) {
+    console.warn("Error reading playback session from storage:", e);
+  }
+}
+
+// Returns true when a saved track was restored
+function restorePlaybackSession() {
+  const session = state.savedSession;
+  state.savedSession = null;
+  if (!session || !session.context) return false;
+
+  const currentIndex = indexOfTrackId(session.currentTrackId);
+  if (currentIndex === -1) return false;
+
+  const exists = (id) => indexOfTrackId(id) !== -1;
+  reconcileOrder(session.context, session.order || [], session.orderIndex ?? -1);
+  state.queue = (session.queue || []).filter(exists);
+  state.playingFromQueue = !!session.playingFromQueue;
+
+  loadTrackByIndex(currentIndex, false);
+
+  const position = Number(session.currentTime) || 0;
+  if (position > 0) {
+    els.audio.addEventListener(
+      "loadedmetadata",
+      () => {
+        els.audio.currentTime = Math.min(position, els.audio.duration || position);
+      },
+      { once: true }
+    );
+    els.currentTimeLabel.textContent = formatTime(position);
+  }
+  return true;
+}
+
+function saveSession() {
+  if (!state.sessionReady) return;
+  clearTimeout(sessionSaveTimer);
+  lastSessionSaveAt = Date.now();
+
+  const current = state.tracks[state.currentTrackIndex];
+  try {
+    const payload = {
+      currentTrackId: current ? current.id : null,
+      currentTime: els.audio.currentTime || 0,
+      context: state.context,
+      order: state.order,
+      orderIndex: state.orderIndex,
+      queue: state.queue,
+      playingFromQueue: state.playingFromQueue,
+      volume: parseFloat(els.volumeSlider.value),
+      crossfade: state.crossfade,
+      playbackRate: state.playbackRate,
+      normalization: state.normalization,
+      shuffleEnabled: state.shuffleEnabled,
+      shuffleMode: state.shuffleMode,
+      repeatMode: state.repeatMode
+    };
+    localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(payload));
+  } catch (e) {
+    console.warn("Error saving playback session to storage:", e);
+  }
+}
+
+// Coalesces bursts of changes (queue edits, track changes) into one write
+function scheduleSessionSave() {
+  if (!state.sessionReady) return;
+  clearTimeout(sessionSaveTimer);
+  sessionSaveTimer = setTimeout(saveSession, 300);
+}
+
+/* ========== TRACK STATS ========== */
+
+// Per-track { added, plays }, keyed by track id. Catalog tracks are stamped
+// the first time they show up in the library; local files keep their
+// import time.
+const PLAY_COUNT_MIN_SECONDS = 30; // or half the track, whichever comes first
+
+function loadTrackStats() {
+  try {
+    const raw = localStorage.getItem(TRACK_STATS_STORAGE_KEY);
+    state.trackStats = raw ? JSON.parse(raw) || {} : {};
+  } catch (e) {
+    console.warn("Error reading track stats from storage:", e);
+    state.trackStats = {};
+  }
+}
+
+function saveTrackStats() {
+  try {
+    localStorage.setItem(TRACK_STATS_STORAGE_KEY, JSON.stringify(state.trackStats));
+  } catch (e) {
+    console.warn("Error saving track stats to storage:", e);
+  }
+}
+
+function stampTrackAdded() {
+  const now = Date.now();
+  let changed = false;
+  state.tracks.forEach((track) => {
+    if (state.trackStats[track.id]) return;
+    state.trackStats[track.id] = { added: track.addedAt || now, plays: 0 };
+    changed = true;
+  });
+  if (changed) saveTrackStats();
+}
+
+function getTrackStats(id) {
+  return state.trackStats[id] || { added: 0, plays: 0 };
+}
+
+function maybeCountPlay(current, total) {
+  if (state.playCounted || current < Math.min(PLAY_COUNT_MIN_SECONDS, total / 2)) return;
+  const track = state.tracks[state.currentTrackIndex];
+  if (!track) return;
+
+  state.playCounted = true;
+  const stats = (state.trackStats[track.id] ||= { added: Date.now(), plays: 0 });
+  stats.plays++;
+  saveTrackStats();
+  refreshTracksTable(state.tracksSort.key === "plays");
+}
+
+/* ========== LISTENING HISTORY ========== */
+
+// Every listen is logged to IndexedDB as { id, trackId, title, artist,
+// album, startedAt, seconds, duration, completed }. Names are copied so the
+// history outlives catalog changes. A listen starts on the first progress
+// of a track and ends when the track ends (completed), when another track
+// is loaded (completed only for automatic transitions) or on page hide.
+const MIN_LOGGED_LISTEN_SECONDS = 1;
+const MAX_LISTEN_STEP_SECONDS = 2; // bigger jumps between timeupdates are seeks
+const HISTORY_VIEW_LIMIT = 100;
+const STATS_TOP_COUNT = 10;
+const STATS_PERIODS = {
+  week: { label: "Last 7 days", days: 7 },
+  month: { label: "Last 30 days", days: 30 },
+  all: { label: "All time", days: null }
+};
+let currentListen = null;
+let historyLoading = null;
+
+function ensureHistory() {
+  if (!historyLoading) {
+    state.history = [];
+    historyLoading = dbRequest(HISTORY_STORE, "readonly", (store) => store.getAll())
+      .then((entries) => {
+        // Listens logged while loading may or may not be in `entries`
+        const known = new Set(entries.map((e) => e.id));
+        state.history = entries.concat(state.history.filter((e) => !known.has(e.id)));
+      })
+      .catch((e) => console.warn("Error reading listening history from IndexedDB:", e));
+  }
+  return historyLoading;
+}
+
+// Called from updateProgress with the active element's position
+function trackListenProgress(current, total) {
+  const track = state.tracks[state.currentTrackIndex];
+  if (!track) return;
+  if (!currentListen || currentListen.trackId !== track.id) {
+    currentListen = {
+      trackId: track.id,
+      title: track.title,
+      artist: track.artist,
+      album: track.album || "",
+      startedAt: null,
+      seconds: 0,
+      duration: 0,
+      position: current
+    };
+  }
+
+  const listen = currentListen;
+  const delta = current - listen.position;
+  if (!els.audio.paused && delta > 0 && delta < MAX_LISTEN_STEP_SECONDS) {
+    listen.seconds += delta;
+    if (!listen.startedAt) listen.startedAt = Date.now() - delta * 1000;
+  }
+  listen.position = current;
+  listen.duration = total;
+}
+
+function finishListen(completed) {
+  const listen = currentListen;
+  currentListen = null;
+  if (!listen || listen.seconds < MIN_LOGGED_LISTEN_SECONDS) return;
+
+  const entry = {
+    trackId: listen.trackId,
+    title: listen.title,
+    artist: listen.artist,
+    album: listen.album,
+    startedAt: listen.startedAt,
+    seconds: Math.round(listen.seconds),
+    duration: Math.round(listen.duration),
+    completed
+  };
+  if (state.history) state.history.push(entry);
+  dbRequest(HISTORY_STORE, "readwrite", (store) => store.add(entry))
+    .then((id) => {
+      entry.id = id;
+    })
+    .catch((e) => console.warn("Error saving listen to history:", e));
+
+  if (!els.historyView.hidden) renderHistory();
+  if (!els.statsView.hidden) renderStats();
+}
+
+// A listen counts as a play by the same rule as the All tracks play count
+function isCountedListen(entry) {
+  return (
+    entry.completed ||
+    entry.seconds >= Math.min(PLAY_COUNT_MIN_SECONDS, (entry.duration || Infinity) / 2)
+  );
+}
+
+function formatListeningTime(seconds) {
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
+/* Recently played view */
+
+async function renderHistoryRoute() {
+  showView("history");
+  els.historySubtitle.textContent = "Loading…";
+  await ensureHistory();
+  if (!els.historyView.hidden) renderHistory();
+}
+
+function getRecentListens() {
+  return state.history
+    .slice()
+    .sort((a, b) => b.startedAt - a.startedAt)
+    .slice(0, HISTORY_VIEW_LIMIT);
+}
+
+function renderHistory() {
+  const recent = getRecentListens();
+  els.historyList.innerHTML = "";
+  els.historySubtitle.textContent = state.history.length
+    ? `Last ${recent.length} of ${state.history.length} listens`
+    : "";
+
+  if (!recent.length) {
+    els.historyList.appendChild(
+      createEmptyMessage("li.playlist-empty", "Nothing played yet. Listens show up here.")
+    );
+    return;
+  }
+
+  recent.forEach((entry, pos) => {
+    const track = state.tracks[indexOfTrackId(entry.trackId)];
+    const started = new Date(entry.startedAt);
+    els.historyList.appendChild(
+      createNode(
+        `li.playlist-track.history-item${track ? "" : ".unavailable"}`,
+        { dataset: { pos }, tabIndex: track ? 0 : null },
+        [
+          createNode("span.history-time", { title: started.toLocaleString() }, [
+            started.toLocaleString([], { dateStyle: "short", timeStyle: "short" })
+          ]),
+          track ? createCoverThumb(track) : createNode("span"),
+          createNode("div.playlist-track-meta", {}, [
+            createNode("div.track-title", {}, [entry.title]),
+            createNode("div.track-artist", {}, [entry.artist])
+          ]),
+          createNode("span.playlist-track-album", {}, [entry.album]),
+          createNode(
+            `span.history-status${entry.completed ? "" : ".is-skipped"}`,
+            {},
+            [entry.completed ? "Played" : `Skipped at ${formatTime(entry.seconds)}`]
+          )
+        ]
+      )
+    );
+  });
+}
+
+function handleHistoryClick(e) {
+  const row = e.target.closest(".history-item");
+  if (!row) return;
+  const recent = getRecentListens();
+  const entry = recent[Number(row.dataset.pos)];
+  const index = entry ? indexOfTrackId(entry.trackId) : -1;
+  if (index === -1) return;
+
+  const ids = Array.from(new Set(recent.map((e) => e.trackId))).filter(
+    (id) => indexOfTrackId(id) !== -1
+  );
+  playTrackFromIndex(index, { key: "history", label: "Recently played", ids });
+}
+
+/* Stats view */
+
+function buildStatsHash(period) {
+  return `#/stats?${new URLSearchParams({ period }).toString()}`;
+}
+
+async function renderStatsRoute(route) {
+  const period = route.params.get("period");
+  state.statsPeriod = STATS_PERIODS[period] ? period : "week";
+  showView("stats");
+  els.statsSummary.textContent = "Loading…";
+  await ensureHistory();
+  if (!els.statsView.hidden) renderStats();
+}
+
+function getPeriodListens(period) {
+  const { days } = STATS_PERIODS[period];
+  const since = days ? Date.now() - days * 86400000 : 0;
+  return state.history.filter((e) => e.startedAt >= since);
+}
+
+// { plays, listens, skipped, seconds, topTracks, topArtists, topAlbums }
+function computeListeningStats(entries) {
+  const tracks = new Map();
+  const artists = new Map();
+  const albums = new Map();
+  const bump = (map, key, describe, entry) => {
+    const row = map.get(key) || { ...describe(), plays: 0, seconds: 0 };
+    if (isCountedListen(entry)) row.plays++;
+    row.seconds += entry.seconds;
+    map.set(key, row);
+  };
+
+  let seconds = 0;
+  let plays = 0;
+  entries.forEach((e) => {
+    seconds += e.seconds;
+    if (isCountedListen(e)) plays++;
+    bump(tracks, e.trackId, () => ({ title: e.title, artist: e.artist }), e);
+    bump(artists, e.artist.toLowerCase(), () => ({ artist: e.artist }), e);
+    if (e.album) {
+      bump(albums, `${e.artist}\n${e.album}`.toLowerCase(), () => ({ artist: e.artist, album: e.album }), e);
+    }
+  });
+
+  const top = (map) =>
+    Array.from(map.values())
+      .filter((row) => row.plays > 0)
+      .sort((a, b) => b.plays - a.plays || b.seconds - a.seconds)
+      .slice(0, STATS_TOP_COUNT);
+
+  return {
+    plays,
+    listens: entries.length,
+    skipped: entries.filter((e) => !e.completed).length,
+    seconds,
+    topTracks: top(tracks),
+    topArtists: top(artists),
+    topAlbums: top(albums)
+  };
+}
+
+function renderStats() {
+  const period = state.statsPeriod;
+  const stats = computeListeningStats(getPeriodListens(period));
+
+  els.statsPeriods.querySelectorAll("[data-period]").forEach((btn) => {
+    const active = btn.dataset.period === period;
+    btn.classList.toggle("is-active", active);
+    btn.setAttribute("aria-pressed", String(active));
+  });
+  els.statsSummary.textContent = stats.listens
+    ? `${STATS_PERIODS[period].label} · ${formatListeningTime(stats.seconds)} listened · ` +
+      `${stats.plays} play${stats.plays === 1 ? "" : "s"} · ${stats.skipped} skipped`
+    : `${STATS_PERIODS[period].label} · nothing played yet`;
+
+  renderStatsList(els.statsTopTracks, stats.topTracks, (row) => [
+    createNode("a.meta-link", { href: buildArtistHash(row.artist) }, [row.artist]),
+    ` – ${row.title}`
+  ]);
+  renderStatsList(els.statsTopArtists, stats.topArtists, (row) => [
+    createNode("a.meta-link", { href: buildArtistHash(row.artist) }, [row.artist])
+  ]);
+  renderStatsList(els.statsTopAlbums, stats.topAlbums, (row) => [
+    createNode("a.meta-link", { href: buildAlbumHash(row.artist, row.album) }, [row.album]),
+    ` · ${row.artist}`
+  ]);
+}
+
+function renderStatsList(list, rows, describe) {
+  list.innerHTML = "";
+  if (!rows.length) {
+    list.appendChild(createEmptyMessage("li.playlist-empty", "No plays in this period."));
+    return;
+  }
+  rows.forEach((row) => {
+    list.appendChild(
+      createNode("li.stats-row", {}, [
+        createNode("span.stats-name", {}, describe(row)),
+        createNode("span.stats-count", { title: formatListeningTime(row.seconds) }, [
+          `${row.plays} play${row.plays === 1 ? "" : "s"}`
+        ])
+      ])
+    );
+  });
+}
+
+/* Export */
+
+function exportListeningStats(format) {
+  const period = state.statsPeriod;
+  const entries = getPeriodListens(period).sort((a, b) => a.startedAt - b.startedAt);
+  const date = new Date().toISOString().slice(0, 10);
+  const fileName = toFileName(`symphonia-stats-${period}-${date}`);
+
+  if (format === "csv") {
+    downloadFile(`${fileName}.csv`, buildHistoryCsv(entries), "text/csv");
+    return;
+  }
+
+  const { topTracks, topArtists, topAlbums, ...summary } = computeListeningStats(entries);
+  const payload = {
+    period,
+    exportedAt: new Date().toISOString(),
+    summary,
+    topTracks,
+    topArtists,
+    topAlbums,
+    listens: entries.map(({ id, ...entry }) => ({
+      ...entry,
+      startedAt: new Date(entry.startedAt).toISOString()
+    }))
+  };
+  downloadFile(`${fileName}.json`, JSON.stringify(payload, null, 2), "application/json");
+}
+
+function buildHistoryCsv(entries) {
+  const rows = [["started_at", "track_id", "title", "artist", "album", "seconds", "duration", "completed"]];
+  entries.forEach((e) => {
+    rows.push([
+      new Date(e.startedAt).toISOString(),
+      e.trackId,
+      e.title,
+      e.artist,
+      e.album,
+      e.seconds,
+      e.duration,
+      e.completed ? "yes" : "no"
+    ]);
+  });
+  return rows.map((row) => row.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
+
+function csvField(value) {
+  let text = String(value ?? "");
+  // Keep spreadsheets from treating titles like "=cmd|…" as formulas
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/* ========== SMART SHUFFLE ========== */
+
+// Smart shuffle draws tracks with a weight built from local taste: play
+// counts and the favorites playlist (see flagFavoritesPlaylist) raise it, a
+// high skip rate and a recent listen lower it. The weighted draw is then
+// spread out so the same artist or album does not come up back-to-back.
+// "Just for you" on Home is a daily mix: the same draw seeded by the date
+// and kept in storage until the day changes.
+const SHUFFLE_MODES = ["smart", "random"];
+const DAILY_MIX_STORAGE_KEY = "symphonia_nuvi_daily_mix_v1";
+const SMART_FAVORITE_BOOST = 2;
+const SMART_SKIP_PENALTY = 0.8;      // weight lost at a 100% skip rate
+const SMART_RECENT_LISTENS = 50;     // latest listens treated as recently played
+const SMART_RECENT_PENALTY = 0.05;
+const SMART_SPREAD_LOOKAHEAD = 25;   // candidates searched for a better fit
+const SMART_ARTIST_GAP = 3;          // tracks before an artist may repeat
+const SMART_ALBUM_GAP = 5;
+
+function setShuffleMode(mode) {
+  state.shuffleMode = SHUFFLE_MODES.includes(mode) ? mode : "smart";
+  els.shuffleModeSelect.value = state.shuffleMode;
+  if (!isOrderShuffled()) return;
+  rebuildOrder(state.order[state.orderIndex]);
+  renderUpNext();
+}
+
+// Play order for the shuffled context; `leadId` is the track already
+// playing, so the spread pass keeps its artist away from the start.
+function shuffleIds(ids, leadId) {
+  if (state.shuffleMode !== "smart") return shuffleArray(ids);
+  return smartShuffle(ids, Math.random, leadId);
+}
+
+function smartShuffle(ids, random, leadId) {
+  const profile = buildShuffleProfile();
+  // Weighted random order (Efraimidis–Spirakis): sort by random^(1/weight)
+  const drawn = ids
+    .map((id) => ({ id, key: Math.pow(random(), 1 / getShuffleWeight(id, profile)) }))
+    .sort((a, b) => b.key - a.key)
+    .map((d) => d.id);
+  return spreadOrder(drawn, leadId);
+}
+
+function buildShuffleProfile() {
+  const listens = {};
+  const history = state.history || [];
+  history.forEach((entry) => {
+    const counts = (listens[entry.trackId] ||= { counted: 0, skipped: 0 });
+    if (isCountedListen(entry)) counts.counted++;
+    else counts.skipped++;
+  });
+
+  const recent = new Set(
+    history
+      .slice()
+      .sort((a, b) => b.startedAt - a.startedAt)
+      .slice(0, SMART_RECENT_LISTENS)
+      .map((e) => e.trackId)
+  );
+  const current = state.tracks[state.currentTrackIndex];
+  if (current) recent.add(current.id);
+
+  return { listens, recent, favorites: getFavoriteIds() };
+}
+
+function getFavoriteIds() {
+  const favorites = Object.values(state.playlists).find((pl) => pl.favorites);
+  return new Set(favorites ? favorites.trackIds : []);
+}
+
+function getShuffleWeight(id, profile) {
+  const { counted, skipped } = profile.listens[id] || { counted: 0, skipped: 0 };
+  // The +1 keeps a single skip of an unplayed track from burying it
+  const skipRate = skipped / (counted + skipped + 1);
+  let weight = (1 + Math.log2(1 + getTrackStats(id).plays) / 2) * (1 - SMART_SKIP_PENALTY * skipRate);
+  if (profile.favorites.has(id)) weight *= SMART_FAVORITE_BOOST;
+  if (profile.recent.has(id)) weight *= SMART_RECENT_PENALTY;
+  return weight;
+}
+
+// Greedy pass over the drawn order: each slot takes the first candidate
+// within the lookahead whose artist and album were not used just before,
+// falling back to the next drawn track when none fits.
+function spreadOrder(ids, leadId) {
+  const remaining = ids.slice();
+  const result = [];
+  const artists = [];
+  const albums = [];
+  const remember = (id) => {
+    const track = state.tracks[indexOfTrackId(id)];
+    artists.push(getSpreadArtistKey(track));
+    albums.push(getSpreadAlbumKey(track));
+  };
+  if (leadId != null) remember(leadId);
+
+  while (remaining.length) {
+    const recentArtists = artists.slice(-SMART_ARTIST_GAP);
+    const recentAlbums = albums.slice(-SMART_ALBUM_GAP);
+    const limit = Math.min(remaining.length, SMART_SPREAD_LOOKAHEAD);
+    let pick = 0;
+    for (let i = 0; i < limit; i++) {
+      const track = state.tracks[indexOfTrackId(remaining[i])];
+      const album = getSpreadAlbumKey(track);
+      if (recentArtists.includes(getSpreadArtistKey(track))) continue;
+      if (album && recentAlbums.includes(album)) continue;
+      pick = i;
+      break;
+    }
+    const [id] = remaining.splice(pick, 1);
+    result.push(id);
+    remember(id);
+  }
+  return result;
+}
+
+function getSpreadArtistKey(track) {
+  return track ? (track.artist || "").toLowerCase() : "";
+}
+
+function getSpreadAlbumKey(track) {
+  if (!track || !track.album) return "";
+  return `${getSpreadArtistKey(track)}\u0000${track.album.toLowerCase()}`;
+}
+
+/* Daily mix */
+
+// Small seeded PRNG (mulberry32), so a day's mix can be drawn again
+function createSeededRandom(seed) {
+  let s = seed >>> 0;
+  return () => {
+    s = (s + 0x6d2b79f5) >>> 0;
+    let t = s;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function getLocalDateKey(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Keeps today's stored mix (minus removed tracks) and tops it up from the
+// seeded draw, so catalog reloads and new listens do not reshuffle Home
+function buildDailyMix() {
+  const date = getLocalDateKey();
+  let ids = [];
+  try {
+    const saved = JSON.parse(localStorage.getItem(DAILY_MIX_STORAGE_KEY) || "null");
+    if (saved && saved.date === date && Array.isArray(saved.ids)) {
+      ids = saved.ids.filter((id) => indexOfTrackId(id) !== -1);
+    }
+  } catch (e) {
+    console.warn("Error reading daily mix from storage:", e);
+  }
+
+  if (ids.length < Math.min(MAX_HOME_TRACKS, state.tracks.length)) {
+    const picked = new Set(ids);
+    const random = createSeededRandom(parseInt(hashString(`daily-mix:${date}`), 36));
+    const rest = state.tracks.map((t) => t.id).filter((id) => !picked.has(id));
+    ids = ids.concat(smartShuffle(rest, random)).slice(0, MAX_HOME_TRACKS);
+    try {
+      localStorage.setItem(DAILY_MIX_STORAGE_KEY, JSON.stringify({ date, ids }));
+    } catch (e) {
+      console.warn("Error saving daily mix to storage:", e);
+    }
+  }
+  state.dailyMix = { date, ids };
+}
+
+/* ========== ALL TRACKS ========== */
+
+// Only the rows in (and just around) the viewport exist in the DOM; the
+// spacer is sized for the whole list so the scrollbar stays honest.
+const TRACK_ROW_HEIGHT = 40; // keep in sync with .tracks-row
+const TRACK_ROW_OVERSCAN = 8;
+const trackCollator = new Intl.Collator(undefined, { sensitivity: "base", numeric: true });
+let tracksRowsFrame = 0;
+
+const TRACK_SORTS = {
+  title: (a, b) => trackCollator.compare(a.title, b.title),
+  artist: (a, b) =>
+    trackCollator.compare(a.artist, b.artist) || compareAlbumTracks(a, b),
+  album: (a, b) =>
+    trackCollator.compare(a.album, b.album) ||
+    trackCollator.compare(a.artist, b.artist) ||
+    compareAlbumTracks(a, b),
+  added: (a, b) => getTrackStats(a.id).added - getTrackStats(b.id).added,
+  plays: (a, b) => getTrackStats(a.id).plays - getTrackStats(b.id).plays
+};
+
+function renderTracksRoute() {
+  showView("tracks");
+  refreshTracksTable(true);
+}
+
+// resort: the library, the sort or play counts changed
+function refreshTracksTable(resort) {
+  if (els.tracksView.hidden) return;
+  if (resort) sortLibraryTracks();
+
+  const ids = new Set(state.tracks.map((t) => t.id));
+  state.tracksSelection.forEach((id) => {
+    if (!ids.has(id)) state.tracksSelection.delete(id);
+  });
+
+  const count = state.tracks.length;
+  els.tracksSubtitle.textContent = `${count} track${count === 1 ? "" : "s"}`;
+  els.tracksSortSelect.value = state.tracksSort.key;
+  els.tracksSortDirBtn.textContent = state.tracksSort.dir > 0 ? "↑" : "↓";
+  els.tracksSortDirBtn.title = state.tracksSort.dir > 0 ? "Ascending" : "Descending";
+  els.tracksView.querySelectorAll(".tracks-col").forEach((col) => {
+    col.classList.toggle("is-sorted", col.dataset.sort === state.tracksSort.key);
+  });
+
+  renderTracksSelection();
+  renderTrackRows();
+}
+
+function sortLibraryTracks() {
+  const { key, dir } = state.tracksSort;
+  const compare = TRACK_SORTS[key] || TRACK_SORTS.title;
+  state.tracksSorted = state.tracks
+    .map((t, i) => i)
+    .sort(
+      (a, b) =>
+        dir * compare(state.tracks[a], state.tracks[b]) ||
+        TRACK_SORTS.title(state.tracks[a], state.tracks[b]) ||
+        a - b
+    );
+}
+
+// Without a direction, the current column flips and a new one starts in its
+// natural order: A–Z for text, newest / most played first for numbers
+function setTracksSort(key, dir) {
+  if (!TRACK_SORTS[key]) return;
+  if (dir == null) {
+    dir =
+      key === state.tracksSort.key
+        ? -state.tracksSort.dir
+        : key === "added" || key === "plays"
+          ? -1
+          : 1;
+  }
+  state.tracksSort = { key, dir };
+  refreshTracksTable(true);
+}
+
+function scheduleTrackRows() {
+  if (tracksRowsFrame) return;
+  tracksRowsFrame = requestAnimationFrame(() => {
+    tracksRowsFrame = 0;
+    renderTrackRows();
+  });
+}
+
+function renderTrackRows() {
+  const total = state.tracksSorted.length;
+  const top = els.tracksScroller.scrollTop;
+  const height = els.tracksScroller.clientHeight || window.innerHeight;
+  const first = Math.max(0, Math.floor(top / TRACK_ROW_HEIGHT) - TRACK_ROW_OVERSCAN);
+  const last = Math.min(total, Math.ceil((top + height) / TRACK_ROW_HEIGHT) + TRACK_ROW_OVERSCAN);
+
+  els.tracksSpacer.style.height = `${total * TRACK_ROW_HEIGHT}px`;
+  const fragment = document.createDocumentFragment();
+  for (let pos = first; pos < last; pos++) {
+    fragment.appendChild(createTrackRow(pos));
+  }
+  els.tracksSpacer.replaceChildren(fragment);
+}
+
+function createTrackRow(pos) {
+  const index = state.tracksSorted[pos];
+  const track = state.tracks[index];
+  const stats = getTrackStats(track.id);
+
+  const selected = state.tracksSelection.has(track.id);
+  const classes =
+    (selected ? ".is-selected" : "") + (index === state.currentTrackIndex ? ".is-playing" : "");
+
+  const row = createNode(
+    `div.tracks-row${classes}`,
+    {
+      dataset: { pos, index },
+      tabIndex: 0,
+      "aria-label": `${track.title} by ${track.artist}`
+    },
+    [
+      createNode("input.tracks-check", {
+        type: "checkbox",
+        checked: selected,
+        "aria-label": `Select ${track.title}`
+      }),
+      createNode("span.tracks-index", {}, [String(pos + 1)]),
+      createNode("span.tracks-title", {}, [track.title]),
+      createNode("a.meta-link", { href: buildArtistHash(track.artist) }, [track.artist]),
+      track.album
+        ? createNode("a.meta-link", { href: buildAlbumHash(track.artist, track.album) }, [track.album])
+        : createNode("span"),
+      createNode("span.tracks-added", {}, [
+        stats.added ? new Date(stats.added).toLocaleDateString() : "–"
+      ]),
+      createNode("span.tracks-num", {}, [String(stats.plays)])
+    ]
+  );
+  row.style.top = `${pos * TRACK_ROW_HEIGHT}px`;
+  return row;
+}
+
+function getTracksContext() {
+  return {
+    key: `tracks:${state.tracksSort.key}:${state.tracksSort.dir}`,
+    label: "All tracks",
+    ids: state.tracksSorted.map((i) => state.tracks[i].id)
+  };
+}
+
+// Click plays; the checkbox or Ctrl/Cmd-click toggles; Shift-click selects
+// a range from the last toggled row
+function handleTrackRowClick(e) {
+  if (e.target.closest(".meta-link")) return;
+  const row = e.target.closest(".tracks-row");
+  if (!row) return;
+
+  const pos = parseInt(row.dataset.pos, 10);
+  const id = state.tracks[state.tracksSorted[pos]].id;
+
+  if (e.shiftKey && state.tracksAnchorId) {
+    const anchor = state.tracksSorted.findIndex((i) => state.tracks[i].id === state.tracksAnchorId);
+    if (anchor !== -1) {
+      const [from, to] = anchor < pos ? [anchor, pos] : [pos, anchor];
+      for (let p = from; p <= to; p++) {
+        state.tracksSelection.add(state.tracks[state.tracksSorted[p]].id);
+      }
+    }
+  } else if (e.target.closest(".tracks-check") || e.ctrlKey || e.metaKey) {
+    if (state.tracksSelection.has(id)) state.tracksSelection.delete(id);
+    else state.tracksSelection.add(id);
+    state.tracksAnchorId = id;
+  } else {
+    playTrackFromIndex(state.tracksSorted[pos], getTracksContext());
+    return;
+  }
+
+  renderTracksSelection();
+  renderTrackRows();
+}
+
+function setAllTracksSelected(selected) {
+  state.tracksSelection = new Set(selected ? state.tracks.map((t) => t.id) : []);
+  state.tracksAnchorId = null;
+  renderTracksSelection();
+  renderTrackRows();
+}
+
+function renderTracksSelection() {
+  const count = state.tracksSelection.size;
+  els.tracksBulkBar.hidden = !count;
+  els.tracksSelectionCount.textContent = `${count} selected`;
+  els.tracksSelectAll.checked = count > 0 && count === state.tracks.length;
+  els.tracksSelectAll.indeterminate = count > 0 && count < state.tracks.length;
+}
+
+function handleTracksBulkAction(action) {
+  // Keep the table's order for everything that queues or plays
+  const ids = state.tracksSorted
+    .map((i) => state.tracks[i].id)
+    .filter((id) => state.tracksSelection.has(id));
+  if (action === "clear") {
+    setAllTracksSelected(false);
+    return;
+  }
+  if (!ids.length) return;
+
+  if (action === "play") {
+    setPlaybackContext({ key: "selection", label: "Selection", ids, shuffle: false }, null);
+    playOrderPosition(0);
+  } else if (action === "play-next") {
+    state.queue.unshift(...ids);
+  } else if (action === "queue") {
+    state.queue.push(...ids);
+  } else if (action === "playlist") {
+    openPlaylistPicker(ids);
+    return;
+  }
+  renderUpNext();
+  scheduleSessionSave();
+}
+
+/* ========== CATALOG SOURCES ========== */
+
+function getDefaultSources() {
+  return [{ id: "default", name: "Nuvi Music", url: MUSIC_DB_URL, enabled: true }];
+}
+
+function loadSourcesFromStorage() {
+  try {
+    const raw = localStorage.getItem(SOURCES_STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : null;
+    state.sources = Array.isArray(parsed?.sources)
+      ? parsed.sources.filter((src) => src && src.id && typeof src.url === "string")
+      : getDefaultSources();
+  } catch (e) {
+    console.warn("Error reading catalog sources from storage:", e);
+    state.sources = getDefaultSources();
+  }
+}
+
+function saveSourcesToStorage() {
+  try {
+    localStorage.setItem(
+      SOURCES_STORAGE_KEY,
+      JSON.stringify({ sources: state.sources })
+    );
+  } catch (e) {
+    console.warn("Error saving catalog sources to storage:", e);
+  }
+}
+
+function handleAddSource() {
+  const url = els.sourceUrlInput.value.trim();
+  const name = els.sourceNameInput.value.trim();
+  let resolved;
+  try {
+    resolved = new URL(url, location.href).href;
+  } catch (e) {
+    resolved = null;
+  }
+
+  let error = null;
+  if (!resolved || !isAllowedUrl(url, ["http:", "https:"])) {
+    error = "Enter an http:// or https:// URL.";
+  } else if (
+    state.sources.some((src) => new URL(src.url, location.href).href === resolved)
+  ) {
+    error = "That catalog is already in the list.";
+  }
+
+  els.sourceFormError.hidden = !error;
+  els.sourceFormError.textContent = error || "";
+  if (error) return;
+
+  state.sources.push({
+    id: generateId(),
+    name: name || new URL(resolved).hostname || url,
+    url,
+    enabled: true
+  });
+  saveSourcesToStorage();
+  els.sourceForm.reset();
+  renderSourceList();
+  fetchTracks();
+}
+
+function setSourceEnabled(id, enabled) {
+  const source = state.sources.find((src) => src.id === id);
+  if (!source || source.enabled === enabled) return;
+  source.enabled = enabled;
+  saveSourcesToStorage();
+  renderSourceList();
+  fetchTracks();
+}
+
+function removeSource(id) {
+  const source = state.sources.find((src) => src.id === id);
+  if (!source) return;
+  if (!confirm(`Remove the catalog "${source.name}"?`)) return;
+  state.sources = state.sources.filter((src) => src !== source);
+  saveSourcesToStorage();
+  renderSourceList();
+  fetchTracks();
+}
+
+function renderSourceList() {
+  const results = state.catalogDiagnostics?.sources || [];
+  els.sourceList.innerHTML = "";
+
+  if (!state.sources.length) {
+    els.sourceList.appendChild(
+      createEmptyMessage("li.playlist-empty", "No catalog sources. Add one below.")
+    );
+    return;
+  }
+
+  state.sources.forEach((source) => {
+    const result = results.find((r) => r.id === source.id);
+
+    let status;
+    if (!source.enabled) {
+      status = createNode("div.source-status", {}, ["Disabled"]);
+    } else if (!result) {
+      status = createNode("div.source-status", {}, ["Loading…"]);
+    } else if (result.error) {
+      status = createNode("div.source-error", {}, [`Failed to load: ${result.error}`]);
+    } else {
+      const loaded = state.tracks.filter((t) => t.source === source.id).length;
+      status = createNode("div.source-status", {}, [
+        `${loaded} tracks` + (result.issues.length ? ` · ${result.issues.length} issues` : "")
+      ]);
+    }
+
+    const li = createNode(`li.source-item${source.enabled ? "" : ".is-disabled"}`, {}, [
+      createNode("input.source-toggle", {
+        type: "checkbox",
+        dataset: { id: source.id },
+        checked: source.enabled,
+        title: source.enabled ? "Disable source" : "Enable source"
+      }),
+      createNode("div.source-info", {}, [
+        createNode("div.source-name", {}, [source.name]),
+        createNode("div.source-url", {}, [source.url]),
+        status
+      ]),
+      createNode("button.pill-btn.source-remove", { dataset: { id: source.id } }, ["Remove"])
+    ]);
+    els.sourceList.appendChild(li);
+  });
+}
+
+/* ========== INDEXEDDB ========== */
+
+// One database for everything too large or too structured for
+// localStorage. Bump DB_VERSION and extend upgradeDatabase() to add stores.
+const DB_NAME = "symphonia_nuvi";
+const DB_VERSION = 3;
+const LOCAL_TRACK_STORE = "localTracks";
+const LOUDNESS_STORE = "loudness";
+const HISTORY_STORE = "history";
+let dbPromise = null;
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!("indexedDB" in window)) {
+        reject(new Error("IndexedDB is not supported in this browser"));
+        return;
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = (e) => upgradeDatabase(req.result, e.oldVersion);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+function upgradeDatabase(db, oldVersion) {
+  if (oldVersion < 1) {
+    db.createObjectStore(LOCAL_TRACK_STORE, { keyPath: "id" });
+  }
+  if (oldVersion < 2) {
+    db.createObjectStore(LOUDNESS_STORE, { keyPath: "id" });
+  }
+  if (oldVersion < 3) {
+    const history = db.createObjectStore(HISTORY_STORE, { keyPath: "id", autoIncrement: true });
+    history.createIndex("startedAt", "startedAt");
+  }
+}
+
+// Runs fn(store) in its own transaction and resolves with the request result
+async function dbRequest(storeName, mode, fn) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const req = fn(db.transaction(storeName, mode).objectStore(storeName));
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/* ========== LOCAL FILES ========== */
+
+// Imported files are stored in IndexedDB as { id, title, artist, album,
+// trackNumber, replayGain, albumGain, peak, fileName, size, lastModified,
+// addedAt, blob, cover } and get
+// fresh object URLs every session.
+const LOCAL_SOURCE_ID = "local";
+const AUDIO_FILE_PATTERN = /\.(mp3|m4a|m4b|mp4|aac|flac|ogg|oga|opus|wav|webm)$/i;
+let localTracksLoading = null;
+let fileDragDepth = 0;
+
+function ensureLocalTracks() {
+  if (!localTracksLoading) localTracksLoading = loadLocalTracks();
+  return localTracksLoading;
+}
+
+async function loadLocalTracks() {
+  try {
+    const records = await dbRequest(LOCAL_TRACK_STORE, "readonly", (store) =>
+      store.getAll()
+    );
+    state.localTracks = records.map(createLocalTrack).sort(compareLocalTracks);
+  } catch (e) {
+    console.warn("Error reading local files from IndexedDB:", e);
+    state.localTracks = [];
+  }
+}
+
+function createLocalTrack(record) {
+  return {
+    id: record.id,
+    title: record.title,
+    artist: record.artist,
+    album: record.album,
+    trackNumber: record.trackNumber,
+    replayGain: record.replayGain ?? null,
+    albumGain: record.albumGain ?? null,
+    peak: record.peak ?? null,
+    cover: record.cover ? URL.createObjectURL(record.cover) : "",
+    src: URL.createObjectURL(record.blob),
+    fileName: record.fileName,
+    addedAt: record.addedAt,
+    source: LOCAL_SOURCE_ID
+  };
+}
+
+// "-6.48 dB" -> -6.48; null when absent or unreadable
+function parseTagNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function revokeLocalTrack(track) {
+  URL.revokeObjectURL(track.src);
+  if (track.cover) URL.revokeObjectURL(track.cover);
+}
+
+// Library order: artist, then album, then track number
+function compareLocalTracks(a, b) {
+  return (
+    a.artist.localeCompare(b.artist) ||
+    a.album.localeCompare(b.album) ||
+    (a.trackNumber ?? Infinity) - (b.trackNumber ?? Infinity) ||
+    a.title.localeCompare(b.title)
+  );
+}
+
+// Name, size and modification time identify a file across imports
+function localTrackId(file) {
+  return `l_${hashString(`${file.name}\n${file.size}\n${file.lastModified}`)}`;
+}
+
+function isAudioFile(file) {
+  return (file.type || "").startsWith("audio/") || AUDIO_FILE_PATTERN.test(file.name);
+}
+
+async function importLocalFiles(files) {
+  const audioFiles = files.filter(isAudioFile);
+  if (!audioFiles.length) {
+    setLocalStatus(files.length ? "No audio files found." : "");
+    return;
+  }
+
+  const known = new Set(state.localTracks.map((t) => t.id));
+  let added = 0;
+  let skipped = 0;
+  let failed = 0;
+  let storageFull = false;
+
+  for (let k = 0; k < audioFiles.length; k++) {
+    const file = audioFiles[k];
+    const id = localTrackId(file);
+    if (known.has(id)) {
+      skipped++;
+      continue;
+    }
+    setLocalStatus(`Importing ${k + 1}/${audioFiles.length}: ${file.name}`);
+
+    try {
+      const tags = await readAudioTags(file);
+      const record = {
+        id,
+        title: tags.title || file.name.replace(/\.[^.]+$/, ""),
+        artist: tags.artist || "Unknown artist",
+        album: tags.album || "",
+        trackNumber: parseInt(tags.trackNumber, 10) || null,
+        replayGain: parseTagNumber(tags.replayGain),
+        albumGain: parseTagNumber(tags.albumGain),
+        peak: parseTagNumber(tags.peak),
+        fileName: file.name,
+        size: file.size,
+        lastModified: file.lastModified,
+        addedAt: Date.now(),
+        blob: file,
+        cover: tags.cover || null
+      };
+      await dbRequest(LOCAL_TRACK_STORE, "readwrite", (store) => store.put(record));
+      state.localTracks.push(createLocalTrack(record));
+      known.add(id);
+      added++;
+    } catch (e) {
+      failed++;
+      console.warn(`Import failed for "${file.name}":`, e);
+      if (e && e.name === "QuotaExceededError") {
+        storageFull = true;
+        break;
+      }
+    }
+  }
+
+  if (storageFull) {
+    setLocalStatus(
+      `Storage is full after ${added} file${added === 1 ? "" : "s"} – remove some local files and try again.`
+    );
+  } else if (!added && !failed) {
+    setLocalStatus("Those files are already in the library.");
+  } else if (added) {
+    setLocalStatus(
+      `Imported ${added} file${added === 1 ? "" : "s"}` +
+        (skipped ? ` · ${skipped} already in the library` : "") +
+        (failed ? ` · ${failed} failed` : "")
+    );
+  } else {
+    setLocalStatus(`${failed} file${failed === 1 ? "" : "s"} could not be imported.`);
+  }
+  if (added) {
+    state.localTracks.sort(compareLocalTracks);
+    refreshLocalLibrary();
+  }
+}
+
+async function removeAllLocalFiles() {
+  if (!state.localTracks.length) return;
+  if (!confirm(`Remove all ${state.localTracks.length} local files from the library?`)) return;
+
+  try {
+    await dbRequest(LOCAL_TRACK_STORE, "readwrite", (store) => store.clear());
+  } catch (e) {
+    console.warn("Error clearing local files:", e);
+    setLocalStatus("Could not remove the local files.");
+    return;
+  }
+
+  const current = state.tracks[state.currentTrackIndex];
+  if (current && current.source === LOCAL_SOURCE_ID) stopPlayback();
+  state.localTracks.forEach(revokeLocalTrack);
+  state.localTracks = [];
+  setLocalStatus("Local files removed.");
+  refreshLocalLibrary();
+}
+
+function refreshLocalLibrary() {
+  applyLibrary("The library is empty. Add a catalog source or import local files in Settings.");
+}
+
+function setLocalStatus(message) {
+  els.localStatus.textContent = message;
+}
+
+function renderLocalFiles() {
+  const count = state.localTracks.length;
+  els.localFilesSummary.textContent = count
+    ? `${count} file${count === 1 ? "" : "s"} stored in this browser`
+    : "Stored in this browser";
+  els.localClearBtn.hidden = !count;
+}
+
+// Drops may contain folders; walk them through the entry API
+async function collectDroppedFiles(dataTransfer) {
+  const entries = Array.from(dataTransfer.items || [])
+    .map((item) => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+    .filter(Boolean);
+  if (!entries.length) return Array.from(dataTransfer.files || []);
+
+  const files = [];
+  for (const entry of entries) {
+    await readEntryFiles(entry, files);
+  }
+  return files;
+}
+
+function readEntryFiles(entry, files) {
+  if (entry.isFile) {
+    return new Promise((resolve) => {
+      entry.file(
+        (file) => {
+          files.push(file);
+          resolve();
+        },
+        () => resolve()
+      );
+    });
+  }
+  if (!entry.isDirectory) return Promise.resolve();
+
+  // readEntries() returns directory contents in batches until it returns []
+  const reader = entry.createReader();
+  return new Promise((resolve) => {
+    const readBatch = () => {
+      reader.readEntries(
+        async (batch) => {
+          if (!batch.length) {
+            resolve();
+            return;
+          }
+          for (const child of batch) {
+            await readEntryFiles(child, files);
+          }
+          readBatch();
+        },
+        () => resolve()
+      );
+    };
+    readBatch();
+  });
+}
+
+function isFileDrag(e) {
+  return Array.from(e.dataTransfer?.types || []).includes("Files");
+}
+
+function attachFileDropHandlers() {
+  window.addEventListener("dragenter", (e) => {
+    if (!isFileDrag(e)) return;
+    fileDragDepth++;
+    document.body.classList.add("is-dropping-files");
+  });
+
+  window.addEventListener("dragleave", (e) => {
+    if (!isFileDrag(e)) return;
+    fileDragDepth = Math.max(0, fileDragDepth - 1);
+    if (!fileDragDepth) document.body.classList.remove("is-dropping-files");
+  });
+
+  window.addEventListener("dragover", (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "copy";
+  });
+
+  window.addEventListener("drop", async (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    fileDragDepth = 0;
+    document.body.classList.remove("is-dropping-files");
+    importLocalFiles(await collectDroppedFiles(e.dataTransfer));
+  });
+}
+
+/* ========== AUDIO TAGS ========== */
+
+// Reads title, artist, album, track number and cover art from ID3v2 (MP3),
+// Vorbis comments (FLAC, Ogg Vorbis/Opus) and iTunes-style MP4 atoms.
+// Returns {} for unknown formats or unreadable tags.
+async function readAudioTags(file) {
+  try {
+    const head = await readFileBytes(file, 0, 12);
+    if (readAscii(head, 0, 3) === "ID3") return await readId3Tags(file);
+    if (readAscii(head, 0, 4) === "fLaC") return await readFlacTags(file);
+    if (readAscii(head, 0, 4) === "OggS") return await readOggTags(file);
+    if (readAscii(head, 4, 4) === "ftyp") return await readMp4Tags(file);
+  } catch (e) {
+    console.warn(`Could not read tags from "${file.name}":`, e);
+  }
+  return {};
+}
+
+async function readFileBytes(file, start, length) {
+  return new Uint8Array(await file.slice(start, start + length).arrayBuffer());
+}
+
+function readAscii(bytes, start, length) {
+  return String.fromCharCode(...bytes.subarray(start, start + length));
+}
+
+function readUint32(bytes, at) {
+  return ((bytes[at] << 24) | (bytes[at + 1] << 16) | (bytes[at + 2] << 8) | bytes[at + 3]) >>> 0;
+}
+
+function readUint32LE(bytes, at) {
+  return ((bytes[at + 3] << 24) | (bytes[at + 2] << 16) | (bytes[at + 1] << 8) | bytes[at]) >>> 0;
+}
+
+function readSyncsafe(bytes, at) {
+  return (
+    ((bytes[at] & 0x7f) << 21) |
+    ((bytes[at + 1] & 0x7f) << 14) |
+    ((bytes[at + 2] & 0x7f) << 7) |
+    (bytes[at + 3] & 0x7f)
+  );
+}
+
+// Keeps the front cover (picture type 3) over any other embedded image
+function pickCover(tags, picture) {
+  if (!picture || !picture.blob.size) return;
+  if (!tags.cover || (picture.type === 3 && tags.coverType !== 3)) {
+    tags.cover = picture.blob;
+    tags.coverType = picture.type;
+  }
+}
+
+function imageMimeType(value) {
+  const type = value.toLowerCase();
+  if (type.includes("/")) return type;
+  return `image/${type === "jpg" ? "jpeg" : type}`;
+}
+
+// ReplayGain tags, as Vorbis comment names or ID3 TXXX descriptions
+const REPLAYGAIN_TAGS = {
+  REPLAYGAIN_TRACK_GAIN: "replayGain",
+  REPLAYGAIN_ALBUM_GAIN: "albumGain",
+  REPLAYGAIN_TRACK_PEAK: "peak"
+};
+
+// ID3v2.2, v2.3 and v2.4
+const ID3_FRAMES = {
+  TIT2: "title",
+  TT2: "title",
+  TPE1: "artist",
+  TP1: "artist",
+  TALB: "album",
+  TAL: "album",
+  TRCK: "trackNumber",
+  TRK: "trackNumber",
+  APIC: "cover",
+  PIC: "cover",
+  TXXX: "userText",
+  TXX: "userText"
+};
+
+async function readId3Tags(file) {
+  const header = await readFileBytes(file, 0, 10);
+  const version = header[3];
+  const flags = header[5];
+  let data = await readFileBytes(file, 10, readSyncsafe(header, 6));
+  if (flags & 0x80 && version < 4) data = removeUnsynchronisation(data);
+
+  const idLength = version === 2 ? 3 : 4;
+  const headerLength = version === 2 ? 6 : 10;
+  let pos = 0;
+  if (flags & 0x40 && version > 2) {
+    pos = version === 4 ? readSyncsafe(data, 0) : readUint32(data, 0) + 4;
+  }
+
+  const tags = {};
+  while (pos + headerLength <= data.length) {
+    const id = readAscii(data, pos, idLength);
+    if (!/^[A-Z0-9]+$/.test(id)) break; // padding
+
+    const size =
+      version === 2
+        ? (data[pos + 3] << 16) | (data[pos + 4] << 8) | data[pos + 5]
+        : version === 4
+          ? readSyncsafe(data, pos + 4)
+          : readUint32(data, pos + 4);
+    const formatFlags = version === 2 ? 0 : data[pos + 9];
+    let frame = data.subarray(pos + headerLength, pos + headerLength + size);
+    pos += headerLength + size;
+
+    const field = ID3_FRAMES[id];
+    if (!field) continue;
+    if (version === 3 && formatFlags & 0xc0) continue; // compressed or encrypted
+    if (version === 4) {
+      if (formatFlags & 0x0c) continue; // compressed or encrypted
+      if (formatFlags & 0x02) frame = removeUnsynchronisation(frame);
+      if (formatFlags & 0x01) frame = frame.subarray(4); // data length indicator
+    }
+
+    if (field === "cover") {
+      pickCover(tags, readId3Picture(frame, version));
+    } else if (field === "userText") {
+      // Description and value, e.g. "REPLAYGAIN_TRACK_GAIN\0-6.48 dB"
+      const [description, value = ""] = decodeId3Text(frame.subarray(1), frame[0]).split("\0");
+      const userField = REPLAYGAIN_TAGS[description.trim().toUpperCase()];
+      if (userField && !tags[userField]) tags[userField] = value.trim();
+    } else if (!tags[field]) {
+      tags[field] = decodeId3Text(frame.subarray(1), frame[0]).split("\0")[0].trim();
+    }
+  }
+  return tags;
+}
+
+function removeUnsynchronisation(bytes) {
+  const out = [];
+  for (let i = 0; i < bytes.length; i++) {
+    out.push(bytes[i]);
+    if (bytes[i] === 0xff && bytes[i + 1] === 0x00) i++;
+  }
+  return Uint8Array.from(out);
+}
+
+// Text encodings: 0 ISO-8859-1, 1 UTF-16 with BOM, 2 UTF-16BE, 3 UTF-8
+function decodeId3Text(bytes, encoding) {
+  let label = "iso-8859-1";
+  if (encoding === 1) label = bytes[0] === 0xfe && bytes[1] === 0xff ? "utf-16be" : "utf-16le";
+  else if (encoding === 2) label = "utf-16be";
+  else if (encoding === 3) label = "utf-8";
+  return new TextDecoder(label).decode(bytes);
+}
+
+// Index just past the string terminator that starts at `from`
+function skipId3String(bytes, from, encoding) {
+  const wide = encoding === 1 || encoding === 2;
+  for (let i = from; i < bytes.length; i += wide ? 2 : 1) {
+    if (bytes[i] === 0 && (!wide || bytes[i + 1] === 0)) return i + (wide ? 2 : 1);
+  }
+  return bytes.length;
+}
+
+// APIC: encoding, MIME type, picture type, description, data (PIC has a
+// three-letter image format instead of the MIME type)
+function readId3Picture(frame, version) {
+  const encoding = frame[0];
+  let pos;
+  let mime;
+  if (version === 2) {
+    mime = imageMimeType(readAscii(frame, 1, 3));
+    pos = 4;
+  } else {
+    const end = skipId3String(frame, 1, 0);
+    mime = imageMimeType(readAscii(frame, 1, end - 2) || "image/jpeg");
+    pos = end;
+  }
+  const type = frame[pos];
+  pos = skipId3String(frame, pos + 1, encoding);
+  return { type, blob: new Blob([frame.subarray(pos)], { type: mime }) };
+}
+
+const VORBIS_FIELDS = {
+  TITLE: "title",
+  ARTIST: "artist",
+  ALBUM: "album",
+  TRACKNUMBER: "trackNumber",
+  METADATA_BLOCK_PICTURE: "cover",
+  ...REPLAYGAIN_TAGS
+};
+
+async function readFlacTags(file) {
+  const tags = {};
+  let pos = 4;
+  let last = false;
+
+  while (!last && pos < file.size) {
+    const header = await readFileBytes(file, pos, 4);
+    last = (header[0] & 0x80) !== 0;
+    const type = header[0] & 0x7f;
+    const length = (header[1] << 16) | (header[2] << 8) | header[3];
+
+    if (type === 4) {
+      parseVorbisComments(await readFileBytes(file, pos + 4, length), tags);
+    } else if (type === 6) {
+      pickCover(tags, parseFlacPicture(await readFileBytes(file, pos + 4, length)));
+    }
+    pos += 4 + length;
+  }
+  return tags;
+}
+
+// The comment header is the second Ogg packet; with a large embedded cover
+// it can span many pages, so read generously
+const OGG_TAG_READ_LIMIT = 4 * 1024 * 1024;
+
+async function readOggTags(file) {
+  const bytes = await readFileBytes(file, 0, OGG_TAG_READ_LIMIT);
+  const packets = [[]];
+  let pos = 0;
+
+  while (packets.length <= 2 && pos + 27 <= bytes.length) {
+    if (readAscii(bytes, pos, 4) !== "OggS") break;
+    const segments = bytes[pos + 26];
+    let dataPos = pos + 27 + segments;
+    for (let i = 0; i < segments; i++) {
+      const lacing = bytes[pos + 27 + i];
+      packets[packets.length - 1].push(bytes.subarray(dataPos, dataPos + lacing));
+      dataPos += lacing;
+      // A lacing value under 255 ends the packet
+      if (lacing < 255) packets.push([]);
+    }
+    pos = dataPos;
+  }
+
+  const chunks = packets[1] || [];
+  const comment = new Uint8Array(chunks.reduce((sum, c) => sum + c.length, 0));
+  chunks.reduce((offset, c) => {
+    comment.set(c, offset);
+    return offset + c.length;
+  }, 0);
+
+  const tags = {};
+  if (readAscii(comment, 0, 7) === "\x03vorbis") {
+    parseVorbisComments(comment.subarray(7), tags);
+  } else if (readAscii(comment, 0, 8) === "OpusTags") {
+    parseVorbisComments(comment.subarray(8), tags);
+  }
+  return tags;
+}
+
+function parseVorbisComments(bytes, tags) {
+  const decoder = new TextDecoder();
+  let pos = 4 + readUint32LE(bytes, 0); // skip the vendor string
+  const count = readUint32LE(bytes, pos);
+  pos += 4;
+
+  for (let i = 0; i < count && pos + 4 <= bytes.length; i++) {
+    const length = readUint32LE(bytes, pos);
+    pos += 4;
+    if (pos + length > bytes.length) break;
+    const comment = decoder.decode(bytes.subarray(pos, pos + length));
+    pos += length;
+
+    const eq = comment.indexOf("=");
+    const field = eq === -1 ? null : VORBIS_FIELDS[comment.slice(0, eq).toUpperCase()];
+    if (!field) continue;
+    const value = comment.slice(eq + 1).trim();
+    if (field === "cover") {
+      try {
+        pickCover(tags, parseFlacPicture(Uint8Array.from(atob(value), (c) => c.charCodeAt(0))));
+      } catch (e) {
+        // Malformed base64; keep the text tags
+      }
+    } else if (!tags[field]) {
+      tags[field] = value;
+    }
+  }
+}
+
+// FLAC PICTURE block, also used base64-encoded in Vorbis comments
+function parseFlacPicture(bytes) {
+  const type = readUint32(bytes, 0);
+  const mimeLength = readUint32(bytes, 4);
+  const mime = readAscii(bytes, 8, mimeLength);
+  let pos = 8 + mimeLength;
+  pos += 4 + readUint32(bytes, pos); // description
+  pos += 16; // width, height, depth, colours
+  const length = readUint32(bytes, pos);
+  pos += 4;
+  return {
+    type,
+    blob: new Blob([bytes.subarray(pos, pos + length)], { type: imageMimeType(mime || "image/jpeg") })
+  };
+}
+
+const MP4_FIELDS = {
+  "©nam": "title",
+  "©ART": "artist",
+  "©alb": "album",
+  trkn: "trackNumber",
+  covr: "cover"
+};
+
+// moov can sit at either end of the file, so walk the top-level atoms by
+// reading only their headers
+async function readMp4Tags(file) {
+  let pos = 0;
+  let moov = null;
+  while (pos + 8 <= file.size) {
+    const header = await readFileBytes(file, pos, 16);
+    const atom = readMp4AtomHeader(header, 0, file.size - pos);
+    if (!atom) break;
+    if (atom.name === "moov") {
+      moov = await readFileBytes(file, pos + atom.headerSize, atom.size - atom.headerSize);
+      break;
+    }
+    pos += atom.size;
+  }
+
+  const tags = {};
+  if (!moov) return tags;
+
+  const udta = findMp4Atom(moov, 0, moov.length, "udta");
+  const meta = udta && findMp4Atom(moov, udta.start, udta.end, "meta");
+  // meta is a full box: skip version and flags
+  const ilst = meta && findMp4Atom(moov, meta.start + 4, meta.end, "ilst");
+  if (!ilst) return tags;
+
+  forEachMp4Atom(moov, ilst.start, ilst.end, (name, start, end) => {
+    const field = MP4_FIELDS[name];
+    const data = field && findMp4Atom(moov, start, end, "data");
+    if (!data) return;
+    // data: 4-byte type indicator, 4-byte locale, then the value
+    const dataType = readUint32(moov, data.start) & 0xffffff;
+    const value = moov.subarray(data.start + 8, data.end);
+
+    if (field === "cover") {
+      const mime = dataType === 14 ? "image/png" : "image/jpeg";
+      pickCover(tags, { type: 3, blob: new Blob([value], { type: mime }) });
+    } else if (field === "trackNumber") {
+      tags.trackNumber = String((value[2] << 8) | value[3]);
+    } else {
+      tags[field] = new TextDecoder().decode(value).trim();
+    }
+  });
+  return tags;
+}
+
+function readMp4AtomHeader(bytes, pos, available) {
+  if (bytes.length < pos + 8) return null;
+  let size = readUint32(bytes, pos);
+  let headerSize = 8;
+  if (size === 1) {
+    size = readUint32(bytes, pos + 8) * 2 ** 32 + readUint32(bytes, pos + 12);
+    headerSize = 16;
+  } else if (size === 0) {
+    size = available; // extends to the end
+  }
+  if (size < headerSize) return null;
+  return { name: readAscii(bytes, pos + 4, 4), size, headerSize };
+}
+
+function forEachMp4Atom(bytes, start, end, fn) {
+  let pos = start;
+  while (pos + 8 <= end) {
+    const atom = readMp4AtomHeader(bytes, pos, end - pos);
+    if (!atom) return;
+    if (fn(atom.name, pos + atom.headerSize, Math.min(pos + atom.size, end)) === false) return;
+    pos += atom.size;
+  }
+}
+
+function findMp4Atom(bytes, start, end, name) {
+  let found = null;
+  forEachMp4Atom(bytes, start, end, (atomName, atomStart, atomEnd) => {
+    if (atomName !== name) return true;
+    found = { start: atomStart, end: atomEnd };
+    return false;
+  });
+  return found;
+}
+
+/* ========== PLAYLISTS ========== */
+
+function loadPlaylistsFromStorage() {
+  try {
+    const raw = localStorage.getItem(PLAYLIST_STORAGE_KEY);
+    if (!raw) {
+      const favId = generateId();
+      state.playlists[favId] = {
+        id: favId,
+        name: "Favorites",
+        trackIds: [],
+        favorites: true // the built-in list, whatever it gets renamed to
+      };
+      state.activePlaylistId = favId;
+      renderPlaylistSidebar();
+      return;
+    }
+    const parsed = JSON.parse(raw);
+    state.playlists = parsed.playlists || {};
+    // v1 payloads had no version; see migratePlaylistTrackIds()
+    if ((parsed.version || 1) < 2) setAsideLegacyPositions();
+    flagFavoritesPlaylist();
+    state.activePlaylistId =
+      parsed.activePlaylistId || Object.keys(state.playlists)[0];
+    renderPlaylistSidebar();
+  } catch (e) {
+    console.warn("Error reading playlists from storage:", e);
+  }
+}
+
+// Playlists saved before the flag existed: the built-in one still has its
+// original name. Flagged once, so renaming it later keeps it the favorites.
+function flagFavoritesPlaylist() {
+  const playlists = Object.values(state.playlists);
+  if (playlists.some((pl) => pl.favorites)) return;
+  const builtIn = playlists.find((pl) => pl.name === "Favorites");
+  if (!builtIn) return;
+  builtIn.favorites = true;
+  savePlaylistsToStorage();
+}
+
+function savePlaylistsToStorage() {
+  try {
+    const payload = {
+      version: PLAYLIST_SCHEMA_VERSION,
+      playlists: state.playlists,
+      activePlaylistId: state.activePlaylistId
+    };
+    localStorage.setItem(PLAYLIST_STORAGE_KEY, JSON.stringify(payload));
+  } catch (e) {
+    console.warn("Error saving playlists to storage:", e);
+  }
+}
+
+/* v1 playlists stored positions in the track list of that time: the
+   entries of the default catalog that had a url or link, in catalog order.
+   They are kept in `legacyPositions` (which survives saves) until that
+   catalog has loaded and they can be resolved to track IDs. */
+function setAsideLegacyPositions() {
+  Object.values(state.playlists).forEach((pl) => {
+    const positions = pl.trackIds.filter((entry) => typeof entry === "number");
+    pl.trackIds = pl.trackIds.filter((entry) => typeof entry !== "number");
+    if (positions.length) pl.legacyPositions = positions;
+  });
+}
+
+// Catalog entry index of each v1 position
+function getLegacyCatalogIndexes(data) {
+  const raw = Array.isArray(data) ? data : data.tracks;
+  const indexes = [];
+  raw.forEach((entry, index) => {
+    if (entry && String(entry.url || entry.link || "").trim()) indexes.push(index);
+  });
+  return indexes;
+}
+
+function migratePlaylistTrackIds() {
+  const pending = Object.values(state.playlists).filter((pl) => pl.legacyPositions);
+  if (!pending.length) return;
+
+  // Without the default catalog the positions can't be resolved; keep them
+  if (!legacyCatalogIndexes) {
+    showLibraryNotice(
+      `${pending.length} playlist(s) from an older version need the Nuvi Music catalog, ` +
+        "which did not load. They will be restored once it does."
+    );
+    return;
+  }
+
+  const byCatalogIndex = {};
+  state.catalogTracks.forEach((track) => {
+    if (track.source === "default") byCatalogIndex[track.catalogIndex] = track;
+  });
+
+  const incomplete = [];
+  pending.forEach((pl) => {
+    const ids = [];
+    let dropped = 0;
+    pl.legacyPositions.forEach((position) => {
+      const track = byCatalogIndex[legacyCatalogIndexes[position]];
+      if (!track) {
+        dropped++;
+        return;
+      }
+      if (!ids.includes(track.id)) ids.push(track.id);
+    });
+    // Tracks added since the upgrade go after the playlist's original ones
+    pl.trackIds = ids.concat(pl.trackIds.filter((id) => !ids.includes(id)));
+    delete pl.legacyPositions;
+    if (dropped) incomplete.push(`"${pl.name}" (${dropped})`);
+  });
+  savePlaylistsToStorage();
+
+  if (incomplete.length) {
+    showLibraryNotice(
+      `Some tracks of playlists from an older version are no longer in the catalog and were removed: ${incomplete.join(", ")}`
+    );
+  }
+}
+
+function getUnresolvedTrackIds(playlist) {
+  return playlist.trackIds.filter((id) => indexOfTrackId(id) === -1);
+}
+
+function renderPlaylistSidebar() {
+  els.playlistList.innerHTML = "";
+
+  Object.values(state.playlists).forEach((pl) => {
+    // Only meaningful once the catalog is loaded
+    const missing = state.tracks.length ? getUnresolvedTrackIds(pl).length : 0;
+
+    const li = createNode(
+      `li.playlist-item${pl.id === state.activePlaylistId ? ".active" : ""}`,
+      { dataset: { id: pl.id }, tabIndex: 0 },
+      createPlaylistLabel(pl, missing ? `${missing} unavailable` : "")
+    );
+
+    li.addEventListener("click", () => {
+      navigate(`#/playlist/${pl.id}`);
+    });
+
+    els.playlistList.appendChild(li);
+  });
+}
+
+function openPlaylist(id) {
+  const pl = state.playlists[id];
+  if (!pl) return;
+  showView("playlist");
+  state.activePlaylistId = id;
+  renderPlaylistSidebar();
+  renderPlaylistView(pl);
+}
+
+function renderPlaylistTiles() {
+  els.playlistTiles.innerHTML = "";
+
+  Object.values(state.playlists).forEach((pl) => {
+    els.playlistTiles.appendChild(
+      createNode("button.playlist-tile", { dataset: { id: pl.id } }, createPlaylistLabel(pl))
+    );
+  });
+
+  if (!els.playlistTiles.children.length) {
+    els.playlistTiles.appendChild(createEmptyMessage("div.playlist-empty", "No playlists yet."));
+  }
+}
+
+function renderPlaylistView(playlist) {
+  const missing = state.tracks.length ? getUnresolvedTrackIds(playlist).length : 0;
+
+  els.playlistTitle.textContent = playlist.name;
+  els.playlistSubtitle.textContent =
+    `${playlist.trackIds.length} tracks` +
+    (missing ? ` · ${missing} no longer in the catalog` : "");
+  els.playlistTracks.innerHTML = "";
+
+  // Rows follow trackIds exactly (unresolved entries included) so that
+  // `data-pos` always matches the position in the playlist.
+  playlist.trackIds.forEach((trackId, pos) => {
+    const i = indexOfTrackId(trackId);
+    const track = state.tracks[i];
+
+    const row = createNode(`li.playlist-track${track ? "" : ".unavailable"}`, {
+      dataset: { pos },
+      draggable: true
+    });
+
+    const remove = createNode(
+      "button.playlist-track-remove",
+      { title: "Remove from playlist", "aria-label": "Remove from playlist" },
+      ["✕"]
+    );
+    const position = createNode("span.playlist-track-pos", {}, [String(pos + 1)]);
+
+    if (track) {
+      row.append(
+        position,
+        createCoverThumb(track),
+        createNode("div.playlist-track-meta", {}, [
+          createNode("div.track-title", {}, [track.title]),
+          createNode("div.track-artist", {}, [track.artist])
+        ]),
+        createNode("span.playlist-track-album", {}, [track.album || ""]),
+        remove
+      );
+    } else {
+      row.append(
+        position,
+        createNode("div.playlist-track-meta", {}, [
+          createNode("div.track-title", {}, ["Unavailable track"]),
+          createNode("div.track-artist", {}, ["No longer in the catalog"])
+        ]),
+        remove
+      );
+    }
+
+    els.playlistTracks.appendChild(row);
+  });
+
+  if (!playlist.trackIds.length) {
+    els.playlistTracks.appendChild(
+      createEmptyMessage(
+        "li.playlist-empty",
+        "No tracks yet. Use “+ Playlist” on any track to add it here."
+      )
+    );
+  }
+}
+
+function refreshPlaylist(playlistId) {
+  savePlaylistsToStorage();
+  renderPlaylistSidebar();
+  if (!els.playlistsView.hidden) renderPlaylistTiles();
+  if (playlistId === state.activePlaylistId && state.playlists[playlistId]) {
+    renderPlaylistView(state.playlists[playlistId]);
+  }
+}
+
+// Returns the new playlist's id, or null when cancelled
+function createNewPlaylist() {
+  const name = prompt("Playlist name:");
+  if (!name || !name.trim()) return null;
+
+  const id = generateId();
+  state.playlists[id] = {
+    id,
+    name: name.trim(),
+    trackIds: []
+  };
+  savePlaylistsToStorage();
+  renderPlaylistSidebar();
+  if (!els.playlistsView.hidden) renderPlaylistTiles();
+  return id;
+}
+
+function renamePlaylist(playlistId) {
+  const pl = state.playlists[playlistId];
+  if (!pl) return;
+
+  const name = prompt("Rename playlist:", pl.name);
+  if (!name || !name.trim()) return;
+
+  pl.name = name.trim();
+  if (state.context.key === `playlist:${pl.id}`) {
+    state.context.label = pl.name;
+    renderUpNext();
+  }
+  refreshPlaylist(pl.id);
+}
+
+function deletePlaylist(playlistId) {
+  const pl = state.playlists[playlistId];
+  if (!pl) return;
+  if (!confirm(`Delete playlist "${pl.name}"? This cannot be undone.`)) return;
+
+  delete state.playlists[playlistId];
+  savePlaylistsToStorage();
+  renderPlaylistSidebar();
+  if (state.activePlaylistId === playlistId) {
+    navigate("#/playlists");
+  }
+}
+
+function addTracksToPlaylist(playlistId, trackIds) {
+  const pl = state.playlists[playlistId];
+  if (!pl) return;
+
+  trackIds.forEach((id) => {
+    if (!pl.trackIds.includes(id)) pl.trackIds.push(id);
+  });
+  refreshPlaylist(pl.id);
+}
+
+function removeTrackFromPlaylist(playlistId, pos) {
+  const pl = state.playlists[playlistId];
+  if (!pl) return;
+  pl.trackIds.splice(pos, 1);
+  refreshPlaylist(pl.id);
+}
+
+function movePlaylistTrack(playlistId, from, to) {
+  const pl = state.playlists[playlistId];
+  if (!pl) return;
+  moveArrayItem(pl.trackIds, from, to);
+  refreshPlaylist(pl.id);
+}
+
+function getPlaylistContext(pl) {
+  return {
+    key: `playlist:${pl.id}`,
+    label: pl.name,
+    ids: pl.trackIds.filter((id) => indexOfTrackId(id) !== -1)
+  };
+}
+
+// Loads the whole playlist as the playback context, in order or shuffled
+function playPlaylist(playlistId, shuffle) {
+  const pl = state.playlists[playlistId];
+  if (!pl) return;
+
+  const context = getPlaylistContext(pl);
+  if (!context.ids.length) return;
+
+  setPlaybackContext({ ...context, shuffle }, null);
+  playOrderPosition(0);
+}
+
+function playPlaylistPosition(playlistId, pos) {
+  const pl = state.playlists[playlistId];
+  if (!pl) return;
+  const index = indexOfTrackId(pl.trackIds[pos]);
+  if (index === -1) return;
+  playTrackFromIndex(index, getPlaylistContext(pl));
+}
+
+function handleAddTrackToPlaylist(trackIndex) {
+  const track = state.tracks[trackIndex];
+  if (!track) return;
+  openPlaylistPicker([track.id]);
+}
+
+/* Playlist picker */
+
+function openPlaylistPicker(trackIds) {
+  state.pickerTrackIds = trackIds.slice();
+  renderPlaylistPicker();
+  openDialog(els.playlistPicker);
+}
+
+function closePlaylistPicker() {
+  state.pickerTrackIds = [];
+  els.playlistPicker.close();
+}
+
+function renderPlaylistPicker() {
+  els.playlistPickerList.innerHTML = "";
+
+  Object.values(state.playlists).forEach((pl) => {
+    const alreadyIn = state.pickerTrackIds.every((id) => pl.trackIds.includes(id));
+
+    const option = createNode(
+      "button.picker-option",
+      { dataset: { id: pl.id } },
+      createPlaylistLabel(pl, alreadyIn ? "already added" : "")
+    );
+    els.playlistPickerList.appendChild(createNode("li", {}, [option]));
+  });
+}
+
+function generateId() {
+  return Math.random().toString(36).slice(2, 9);
+}
+
+/* ========== PLAYLIST IMPORT / EXPORT ========== */
+
+// Extended M3U8, XSPF and a Symphonia JSON format. Imported entries are
+// matched back to catalog tracks by src first, then by "artist - title".
+// Local files are written by file name, as their blob: URLs only last for
+// the session, and matched back by it.
+
+const PLAYLIST_EXPORT_FORMAT = "symphonia-playlists";
+
+function openExportDialog(playlistIds) {
+  state.exportPlaylistIds = playlistIds.filter((id) => state.playlists[id]);
+  if (!state.exportPlaylistIds.length) return;
+
+  const count = state.exportPlaylistIds.length;
+  els.exportDialogTitle.textContent =
+    count === 1
+      ? `Export "${state.playlists[state.exportPlaylistIds[0]].name}"`
+      : `Export ${count} playlists`;
+  openDialog(els.exportDialog);
+}
+
+function exportPlaylists(playlistIds, format) {
+  const playlists = playlistIds
+    .map((id) => state.playlists[id])
+    .filter(Boolean)
+    .map((pl) => ({
+      name: pl.name,
+      tracks: pl.trackIds
+        .map((id) => state.tracks[indexOfTrackId(id)])
+        .filter(Boolean)
+    }));
+  if (!playlists.length) return;
+
+  if (format === "json") {
+    const name = playlists.length === 1 ? playlists[0].name : "symphonia-playlists";
+    downloadFile(
+      `${toFileName(name)}.json`,
+      JSON.stringify(buildPlaylistJson(playlists), null, 2),
+      "application/json"
+    );
+    return;
+  }
+
+  // M3U8 and XSPF hold a single playlist, so each one gets its own file
+  playlists.forEach((pl) => {
+    if (format === "m3u8") {
+      downloadFile(`${toFileName(pl.name)}.m3u8`, buildM3u8(pl), "audio/x-mpegurl");
+    } else if (format === "xspf") {
+      downloadFile(`${toFileName(pl.name)}.xspf`, buildXspf(pl), "application/xspf+xml");
+    }
+  });
+}
+
+function buildM3u8(pl) {
+  const lines = ["#EXTM3U", `#PLAYLIST:${pl.name}`];
+  pl.tracks.forEach((t) => {
+    lines.push(`#EXTINF:-1,${t.artist} - ${t.title}`);
+    if (t.album) lines.push(`#EXTALB:${t.album}`);
+    lines.push(getExportLocation(t));
+  });
+  return lines.join("\n") + "\n";
+}
+
+function getExportLocation(track) {
+  return track.source === LOCAL_SOURCE_ID ? track.fileName : track.src;
+}
+
+function buildXspf(pl) {
+  const tracks = pl.tracks
+    .map((t) => {
+      const fields = [
+        `<location>${escapeXml(encodeURI(normalizeSrc(getExportLocation(t))))}</location>`,
+        `<title>${escapeXml(t.title)}</title>`,
+        `<creator>${escapeXml(t.artist)}</creator>`
+      ];
+      if (t.album) fields.push(`<album>${escapeXml(t.album)}</album>`);
+      // Local covers are session-only blob: URLs too
+      if (t.cover && t.source !== LOCAL_SOURCE_ID) fields.push(`<image>${escapeXml(t.cover)}</image>`);
+      return `    <track>\n      ${fields.join("\n      ")}\n    </track>`;
+    })
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<playlist version="1" xmlns="http://xspf.org/ns/0/">
+  <title>${escapeXml(pl.name)}</title>
+  <trackList>
+${tracks}
+  </trackList>
+</playlist>
+`;
+}
+
+function buildPlaylistJson(playlists) {
+  return {
+    format: PLAYLIST_EXPORT_FORMAT,
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    playlists: playlists.map((pl) => ({
+      name: pl.name,
+      tracks: pl.tracks.map((t) => ({
+        id: t.id,
+        title: t.title,
+        artist: t.artist,
+        album: t.album,
+        src: getExportLocation(t)
+      }))
+    }))
+  };
+}
+
+async function importPlaylistFiles(files) {
+  const results = [];
+
+  for (const file of files) {
+    try {
+      const text = await file.text();
+      const parsed = parsePlaylistFile(file.name, text);
+      if (!parsed.length) throw new Error("no playlists found");
+      parsed.forEach((pl) => results.push(importParsedPlaylist(pl)));
+    } catch (e) {
+      console.warn(`Error importing ${file.name}:`, e);
+      results.push({ name: file.name, error: e.message || String(e) });
+    }
+  }
+
+  savePlaylistsToStorage();
+  renderPlaylistSidebar();
+  if (!els.playlistsView.hidden) renderPlaylistTiles();
+  renderImportSummary(results);
+}
+
+// Returns [{ name, entries: [{ src, title, artist, album, display }] }]
+function parsePlaylistFile(fileName, text) {
+  const baseName = fileName.replace(/\.[^.]+$/, "") || "Imported playlist";
+  const ext = (fileName.match(/\.([^.]+)$/) || [])[1] || "";
+  const trimmed = text.trim();
+
+  if (ext.toLowerCase() === "json" || trimmed.startsWith("{") || trimmed.startsWith("[")) {
+    return parsePlaylistJson(JSON.parse(trimmed), baseName);
+  }
+  if (ext.toLowerCase() === "xspf" || trimmed.startsWith("<")) {
+    return [parseXspf(trimmed, baseName)];
+  }
+  return [parseM3u(trimmed, baseName)];
+}
+
+function parseM3u(text, fallbackName) {
+  const pl = { name: fallbackName, entries: [] };
+  let pending = {};
+
+  text.split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    if (line.startsWith("#PLAYLIST:")) {
+      pl.name = line.slice("#PLAYLIST:".length).trim() || pl.name;
+    } else if (line.startsWith("#EXTINF:")) {
+      const comma = line.indexOf(",");
+      const display = comma === -1 ? "" : line.slice(comma + 1).trim();
+      const sep = display.indexOf(" - ");
+      pending = {
+        display,
+        artist: sep === -1 ? "" : display.slice(0, sep),
+        title: sep === -1 ? display : display.slice(sep + 3)
+      };
+    } else if (line.startsWith("#EXTALB:")) {
+      pending.album = line.slice("#EXTALB:".length).trim();
+    } else if (!line.startsWith("#")) {
+      pl.entries.push({ ...pending, src: line });
+      pending = {};
+    }
+  });
+
+  return pl;
+}
+
+function parseXspf(text, fallbackName) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) {
+    throw new Error("invalid XSPF (XML parse error)");
+  }
+
+  const childText = (el, tag) => {
+    const child = Array.from(el.children).find((c) => c.localName === tag);
+    return child ? child.textContent.trim() : "";
+  };
+
+  const root = doc.documentElement;
+  const pl = { name: childText(root, "title") || fallbackName, entries: [] };
+
+  Array.from(doc.getElementsByTagNameNS("*", "track")).forEach((el) => {
+    pl.entries.push({
+      src: childText(el, "location"),
+      title: childText(el, "title"),
+      artist: childText(el, "creator"),
+      album: childText(el, "album")
+    });
+  });
+
+  return pl;
+}
+
+function parsePlaylistJson(data, fallbackName) {
+  const list = Array.isArray(data) ? data : data.playlists;
+  if (!Array.isArray(list)) throw new Error("invalid JSON playlist file");
+
+  return list.map((pl, i) => ({
+    name: String(pl.name || (list.length > 1 ? `${fallbackName} ${i + 1}` : fallbackName)),
+    entries: (pl.tracks || []).map((t) => ({
+      id: t.id,
+      src: t.src || t.url || t.link || "",
+      title: t.title || "",
+      artist: t.artist || "",
+      album: t.album || ""
+    }))
+  }));
+}
+
+function importParsedPlaylist(parsed) {
+  const index = buildImportMatchIndex();
+  const trackIds = [];
+  const unmatched = [];
+
+  parsed.entries.forEach((entry, i) => {
+    const id = matchImportedEntry(entry, index);
+    if (id) {
+      if (!trackIds.includes(id)) trackIds.push(id);
+    } else {
+      unmatched.push({ position: i + 1, entry });
+    }
+  });
+
+  const id = generateId();
+  state.playlists[id] = { id, name: parsed.name, trackIds };
+
+  return {
+    id,
+    name: parsed.name,
+    total: parsed.entries.length,
+    matched: trackIds.length,
+    unmatched
+  };
+}
+
+function buildImportMatchIndex() {
+  const index = { bySrc: {}, byArtistTitle: {} };
+  state.tracks.forEach((t) => {
+    index.bySrc[normalizeSrc(getExportLocation(t))] = t.id;
+    const key = matchKey(`${t.artist} - ${t.title}`);
+    if (!(key in index.byArtistTitle)) index.byArtistTitle[key] = t.id;
+  });
+  return index;
+}
+
+function matchImportedEntry(entry, index) {
+  if (entry.id && indexOfTrackId(entry.id) !== -1) return entry.id;
+
+  if (entry.src) {
+    const bySrc = index.bySrc[normalizeSrc(entry.src)];
+    if (bySrc) return bySrc;
+  }
+
+  const candidates = [];
+  if (entry.title && entry.artist) candidates.push(`${entry.artist} - ${entry.title}`);
+  if (entry.display) candidates.push(entry.display);
+  for (const candidate of candidates) {
+    const id = index.byArtistTitle[matchKey(candidate)];
+    if (id) return id;
+  }
+  return null;
+}
+
+function renderImportSummary(results) {
+  els.importSummaryBody.innerHTML = "";
+
+  results.forEach((r) => {
+    const heading = r.error
+      ? `${r.name}: could not be imported (${r.error})`
+      : `${r.name}: ${r.matched} of ${r.total} tracks matched`;
+
+    const unmatched = (r.unmatched || []).map(({ position, entry }) => {
+      const label =
+        entry.display ||
+        [entry.artist, entry.title].filter(Boolean).join(" - ") ||
+        "Unknown entry";
+      return createNode("li", {}, [`#${position} ${label}${entry.src ? ` (${entry.src})` : ""}`]);
+    });
+
+    els.importSummaryBody.appendChild(
+      createNode("div.import-result", {}, [
+        createNode("div.import-result-heading", {}, [heading]),
+        unmatched.length ? createNode("ul.import-unmatched", {}, unmatched) : null
+      ])
+    );
+  });
+
+  openDialog(els.importSummary);
+}
+
+function normalizeSrc(src) {
+  const trimmed = String(src || "").trim();
+  try {
+    return decodeURI(trimmed);
+  } catch (e) {
+    return trimmed;
+  }
+}
+
+function matchKey(str) {
+  return String(str || "").trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function toFileName(name) {
+  return String(name).replace(/[\\/:*?"<>|]+/g, "_").trim() || "playlist";
+}
+
+function downloadFile(fileName, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = createNode("a", { href: url, download: fileName });
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/* ========== KEYBOARD SHORTCUTS ========== */
+
+// Bindings map an action to a key string from shortcutKeyOf(): the
+// character for printable keys ("n", "?", "/"), otherwise the key name with
+// an optional "Shift+" ("Space", "Shift+ArrowLeft"). Only bindings that
+// differ from the defaults are stored.
+const SHORTCUT_ACTIONS = [
+  { id: "playPause", label: "Play / pause", key: "Space", run: togglePlayPause },
+  { id: "seekBack", label: "Back 5 seconds", key: "ArrowLeft", run: () => seekBy(-5) },
+  { id: "seekForward", label: "Forward 5 seconds", key: "ArrowRight", run: () => seekBy(5) },
+  { id: "seekBackLong", label: "Back 15 seconds", key: "Shift+ArrowLeft", run: () => seekBy(-15) },
+  { id: "seekForwardLong", label: "Forward 15 seconds", key: "Shift+ArrowRight", run: () => seekBy(15) },
+  { id: "volumeUp", label: "Volume up", key: "ArrowUp", run: () => changeVolume(0.05) },
+  { id: "volumeDown", label: "Volume down", key: "ArrowDown", run: () => changeVolume(-0.05) },
+  { id: "next", label: "Next track", key: "n", run: () => skipTrack(1) },
+  { id: "previous", label: "Previous track", key: "p", run: () => skipTrack(-1) },
+  { id: "shuffle", label: "Toggle shuffle", key: "s", run: toggleShuffle },
+  { id: "repeat", label: "Cycle repeat mode", key: "r", run: toggleRepeat },
+  { id: "search", label: "Focus search", key: "/", run: focusSearch },
+  { id: "addToPlaylist", label: "Add current track to a playlist", key: "l", run: () => handleAddTrackToPlaylist(state.currentTrackIndex) },
+  { id: "queue", label: "Show the queue", key: "q", run: focusUpNext },
+  { id: "help", label: "Show keyboard shortcuts", key: "?", run: openShortcutsDialog }
+];
+
+const SHORTCUT_KEY_LABELS = {
+  Space: "Space",
+  ArrowLeft: "←",
+  ArrowRight: "→",
+  ArrowUp: "↑",
+  ArrowDown: "↓"
+};
+
+function loadShortcuts() {
+  state.shortcuts = {};
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem(SHORTCUTS_STORAGE_KEY) || "{}") || {};
+  } catch (e) {
+    console.warn("Error reading keyboard shortcuts from storage:", e);
+  }
+  SHORTCUT_ACTIONS.forEach((action) => {
+    const key = saved[action.id];
+    state.shortcuts[action.id] = typeof key === "string" && key ? key : action.key;
+  });
+}
+
+function saveShortcuts() {
+  const changed = {};
+  SHORTCUT_ACTIONS.forEach((action) => {
+    if (state.shortcuts[action.id] !== action.key) changed[action.id] = state.shortcuts[action.id];
+  });
+  try {
+    localStorage.setItem(SHORTCUTS_STORAGE_KEY, JSON.stringify(changed));
+  } catch (e) {
+    console.warn("Error saving keyboard shortcuts to storage:", e);
+  }
+}
+
+// null for keys that are never shortcuts: modifier combos are left to the
+// browser, and bare modifiers can't be bound
+function shortcutKeyOf(e) {
+  if (e.ctrlKey || e.metaKey || e.altKey) return null;
+  if (["Shift", "Control", "Alt", "Meta", "CapsLock", "Tab", "Escape", "Enter"].includes(e.key)) {
+    return null;
+  }
+  if (e.key === " ") return e.shiftKey ? "Shift+Space" : "Space";
+  if (e.key.length === 1) return e.key.toLowerCase();
+  return e.shiftKey ? `Shift+${e.key}` : e.key;
+}
+
+function formatShortcutKey(key) {
+  const shift = key.startsWith("Shift+");
+  const name = shift ? key.slice(6) : key;
+  const label = SHORTCUT_KEY_LABELS[name] || (name.length === 1 ? name.toUpperCase() : name);
+  return shift ? `Shift + ${label}` : label;
+}
+
+// Typing in fields (searchInput above all) and open dialogs keep their keys
+function isTypingTarget(target) {
+  if (!target || !target.closest) return false;
+  if (target.isContentEditable) return true;
+  return !!target.closest("input, textarea, select");
+}
+
+function handleShortcutKey(e) {
+  if (state.rebindingAction) {
+    captureShortcutKey(e);
+    return;
+  }
+  if (e.defaultPrevented || isTypingTarget(e.target)) return;
+  if (document.querySelector("dialog[open]")) return;
+
+  const key = shortcutKeyOf(e);
+  if (!key) return;
+  // Space and Enter on a focused button belong to the button
+  if (key === "Space" && e.target.closest && e.target.closest("button, a")) return;
+
+  const action = SHORTCUT_ACTIONS.find((a) => state.shortcuts[a.id] === key);
+  if (!action) return;
+  e.preventDefault();
+  action.run();
+}
+
+function changeVolume(delta) {
+  const volume = Math.min(1, Math.max(0, parseFloat(els.volumeSlider.value) + delta));
+  els.volumeSlider.value = volume;
+  setAudioVolume(volume);
+  scheduleSessionSave();
+}
+
+function focusSearch() {
+  els.searchInput.focus();
+  els.searchInput.select();
+}
+
+function focusUpNext() {
+  els.upNextSection.scrollIntoView({
+    behavior: prefersReducedMotion() ? "auto" : "smooth",
+    block: "nearest"
+  });
+  els.upNextSection.focus({ preventScroll: true });
+}
+
+/* Help overlay */
+
+function openShortcutsDialog() {
+  renderShortcutsList();
+  openDialog(els.shortcutsDialog);
+}
+
+function renderShortcutsList() {
+  els.shortcutsList.innerHTML = "";
+  SHORTCUT_ACTIONS.forEach((action) => {
+    const rebinding = state.rebindingAction === action.id;
+    const key = createNode(
+      `button.shortcut-key${rebinding ? ".is-rebinding" : ""}`,
+      { dataset: { action: action.id }, title: rebinding ? "Esc cancels" : "Click to change" },
+      [rebinding ? "Press a key…" : formatShortcutKey(state.shortcuts[action.id])]
+    );
+    els.shortcutsList.appendChild(
+      createNode("li.shortcut-row", {}, [createNode("span", {}, [action.label]), key])
+    );
+  });
+}
+
+function startShortcutRebind(actionId) {
+  state.rebindingAction = state.rebindingAction === actionId ? null : actionId;
+  renderShortcutsList();
+}
+
+// While rebinding, the next key press is the new binding; a key that is
+// already taken swaps with the action that had it
+function captureShortcutKey(e) {
+  const actionId = state.rebindingAction;
+  if (e.key === "Escape") {
+    e.preventDefault();
+    state.rebindingAction = null;
+    renderShortcutsList();
+    return;
+  }
+  const key = shortcutKeyOf(e);
+  if (!key) return;
+  e.preventDefault();
+
+  const taken = SHORTCUT_ACTIONS.find((a) => a.id !== actionId && state.shortcuts[a.id] === key);
+  if (taken) state.shortcuts[taken.id] = state.shortcuts[actionId];
+  state.shortcuts[actionId] = key;
+  state.rebindingAction = null;
+  saveShortcuts();
+  renderShortcutsList();
+}
+
+function resetShortcuts() {
+  state.rebindingAction = null;
+  SHORTCUT_ACTIONS.forEach((action) => {
+    state.shortcuts[action.id] = action.key;
+  });
+  saveShortcuts();
+  renderShortcutsList();
+}
+
+/* ========== MEDIA SESSION API ========== */
+
+function initMediaSession() {
+  if (!("mediaSession" in navigator)) return;
+
+  const ms = navigator.mediaSession;
+
+  ms.setActionHandler("play", () => {
+    initVisualizer();
+    els.audio.play().catch((err) =>
+      console.error("mediaSession play failed:", err)
+    );
+    startVisualizerLoop();
+  });
+  ms.setActionHandler("pause", pausePlayback);
+  ms.setActionHandler("previoustrack", () => {
+    skipTrack(-1);
+  });
+  updateMediaSessionActions();
+  ms.setActionHandler("seekbackward", (details) => {
+    seekBy(-(details.seekOffset || 10));
+  });
+  ms.setActionHandler("seekforward", (details) => {
+    seekBy(details.seekOffset || 10);
+  });
+  try {
+    ms.setActionHandler("seekto", (details) => {
+      if (details.fastSeek && "fastSeek" in els.audio) els.audio.fastSeek(details.seekTime);
+      else els.audio.currentTime = details.seekTime;
+    });
+  } catch (e) {
+    // "seekto" is not supported everywhere
+  }
+}
+
+// Lets the OS scrubber follow seeks and speed changes; it extrapolates the
+// position from playbackRate in between
+function updateMediaSessionPosition() {
+  if (!("mediaSession" in navigator) || !navigator.mediaSession.setPositionState) return;
+  const duration = els.audio.duration;
+  try {
+    if (Number.isFinite(duration) && duration > 0) {
+      navigator.mediaSession.setPositionState({
+        duration,
+        playbackRate: els.audio.playbackRate || 1,
+        position: Math.min(els.audio.currentTime || 0, duration)
+      });
+    } else {
+      navigator.mediaSession.setPositionState();
+    }
+  } catch (e) {
+    // ignore
+  }
+}
+
+// With repeat off, "next" is withdrawn from the OS controls at the end of
+// the queue so the system UI matches what the player will do.
+function updateMediaSessionActions() {
+  if (!("mediaSession" in navigator)) return;
+  try {
+    navigator.mediaSession.setActionHandler(
+      "nexttrack",
+      hasNextTrack() ? () => skipTrack(1) : null
+    );
+  } catch (e) {
+    // ignore
+  }
+}
+
+function updateMediaSessionMetadata(track) {
+  if (!("mediaSession" in navigator)) return;
+
+  const cover = safeImageUrl(track.cover);
+  try {
+    navigator.mediaSession.metadata = new MediaMetadata({
+      title: track.title,
+      artist: track.artist,
+      album: track.album || "",
+      artwork: cover
+        ? [
+            { src: cover, sizes: "96x96", type: "image/jpeg" },
+            { src: cover, sizes: "256x256", type: "image/jpeg" },
+            { src: cover, sizes: "512x512", type: "image/jpeg" }
+          ]
+        : []
+    });
+  } catch (e) {
+    console.warn("Error updating Media Session metadata:", e);
+  }
+}
+
+function updateMediaSessionPlaybackState(stateStr) {
+  if (!("mediaSession" in navigator)) return;
+  try {
+    navigator.mediaSession.playbackState = stateStr;
+  } catch (e) {
+    // ignore
+  }
+}
+
+/* ========== GAPLESS & CROSSFADE ========== */
+
+// Two <audio> elements take turns: els.audio is the one playing, and
+// els.audioNext buffers the upcoming track. Automatic transitions hand over
+// to the preloaded element `state.crossfade` seconds before the end, with
+// equal-power fades on the per-element GainNodes of the audio graph.
+// Without a crossfade the elements still overlap by GAPLESS_OVERLAP_SECONDS:
+// starting the next element only from `ended` leaves an audible gap while
+// it spins up. The overlap hides that latency but is not sample-accurate
+// (that would take decoded buffers), and without the audio graph nothing
+// can fade, so those hand-overs wait for `ended` (see handleTrackEnded).
+const PRELOAD_AHEAD_SECONDS = 30;
+const HANDOVER_SCHEDULE_SECONDS = 1.5; // timers are armed this close to the handover
+const GAPLESS_OVERLAP_SECONDS = 0.05;
+const MAX_CROSSFADE_SECONDS = 12;
+let handoverTimer = null;
+let crossfadeTimer = null;
+
+// Both elements carry the same listeners; only the active one's events count
+function onActiveAudio(type, handler) {
+  els.audioElements.forEach((audio) => {
+    audio.addEventListener(type, (e) => {
+      if (audio === els.audio) handler(e);
+    });
+  });
+}
+
+function setAudioVolume(volume) {
+  els.audioElements.forEach((audio) => {
+    audio.volume = volume * state.sleepFade;
+  });
+  els.volumeSlider.setAttribute("aria-valuetext", `${Math.round(volume * 100)}%`);
+}
+
+function setCrossfade(seconds) {
+  state.crossfade = Math.min(MAX_CROSSFADE_SECONDS, Math.max(0, Math.round(seconds) || 0));
+  els.crossfadeSlider.value = state.crossfade;
+  els.crossfadeValue.textContent = state.crossfade ? `${state.crossfade} s` : "Off (gapless)";
+}
+
+// The track skipTrack(1) will play, when that is known in advance. Repeat
+// one replays in place, so nothing is preloaded.
+function peekNextTrackId() {
+  if (state.repeatMode === "one") return null;
+  if (state.queue.length) return state.queue[0];
+  if (state.orderIndex + 1 < state.order.length) return state.order[state.orderIndex + 1];
+  if (state.repeatMode !== "all") return null;
+  if (isOrderShuffled()) return getNextPass()[0] ?? null;
+  return state.context.ids[0] ?? null;
+}
+
+// Called on every timeupdate of the active element
+function checkTrackHandover(current, total) {
+  if (!total || els.audio.paused) return;
+  // Remaining playing time; the crossfade lead is wall-clock seconds
+  const rate = els.audio.playbackRate || 1;
+  const remaining = (total - current) / rate;
+
+  if (remaining <= PRELOAD_AHEAD_SECONDS + state.crossfade) preloadNextTrack();
+
+  // An A-B loop keeps the track from ending; the sleep timer stops after it
+  if (state.loop.b != null || isSleepAtTrackEnd()) return;
+  const fade = state.crossfade || (audioGraph.ctx ? GAPLESS_OVERLAP_SECONDS : 0);
+  const lead = Math.min(fade, total / rate / 2);
+  if (!lead) return;
+  if (handoverTimer || !state.preloadedId || state.preloadedId !== peekNextTrackId()) return;
+  if (remaining - lead > HANDOVER_SCHEDULE_SECONDS) return;
+
+  const delay = Math.max(0, remaining - lead);
+  handoverTimer = setTimeout(() => {
+    handoverTimer = null;
+    if (els.audio.paused || state.preloadedId !== peekNextTrackId()) return;
+    state.autoAdvance = true;
+    skipTrack(1);
+  }, delay * 1000);
+}
+
+function clearHandoverTimer() {
+  clearTimeout(handoverTimer);
+  handoverTimer = null;
+}
+
+function preloadNextTrack() {
+  // The standby element is still fading out the previous track
+  if (crossfadeTimer) return;
+
+  const id = peekNextTrackId();
+  if (!id || id === state.preloadedId) return;
+  const track = state.tracks[indexOfTrackId(id)];
+  if (!track || !track.src) return;
+
+  state.preloadedId = id;
+  setElementGain(els.audioNext, 0);
+  applyNormalization(els.audioNext, track, false);
+  startLoudnessMeter(els.audioNext, track);
+  els.audioNext.preload = "auto";
+  els.audioNext.src = track.src;
+  els.audioNext.load();
+}
+
+// Swaps in the standby element when it already holds `track`. Returns false
+// when the caller has to load the track itself.
+function handOverToPreloaded(track, fadeSeconds) {
+  if (state.preloadedId !== track.id) return false;
+
+  const outgoing = els.audio;
+  els.audio = els.audioNext;
+  els.audioNext = outgoing;
+  state.preloadedId = null;
+  if (els.audio.readyState > 0) {
+    updateDurationLabel();
+    updateMediaSessionPosition();
+  }
+
+  if (fadeSeconds > 0 && audioGraph.ctx && !outgoing.paused) {
+    rampElementGain(els.audio, 1, fadeSeconds);
+    rampElementGain(outgoing, 0, fadeSeconds);
+    crossfadeTimer = setTimeout(finishCrossfade, fadeSeconds * 1000);
   } else {
-    els.progressBar.value = 0;
+    setElementGain(els.audio, 1);
+    releaseStandby();
+  }
+  return true;
+}
+
+// Ends any fade-out in progress and frees the standby element
+function finishCrossfade() {
+  clearTimeout(crossfadeTimer);
+  crossfadeTimer = null;
+  setElementGain(els.audio, 1);
+  releaseStandby();
+}
+
+function releaseStandby() {
+  state.preloadedId = null;
+  els.audioNext.pause();
+  setElementGain(els.audioNext, 0);
+  els.audioNext.removeAttribute("src");
+  els.audioNext.load();
+}
+
+function setElementGain(audio, value) {
+  const gain = audioGraph.fades.get(audio);
+  if (!gain) return;
+  gain.gain.cancelScheduledValues(audioGraph.ctx.currentTime);
+  gain.gain.value = value;
+}
+
+function rampElementGain(audio, target, seconds) {
+  const gain = audioGraph.fades.get(audio);
+  if (!gain) return;
+
+  const now = audioGraph.ctx.currentTime;
+  const from = gain.gain.value;
+  const curve = new Float32Array(32);
+  for (let i = 0; i < curve.length; i++) {
+    // Equal-power: sin for the fade-in, cos for the fade-out
+    const t = i / (curve.length - 1);
+    const shape = target > from ? Math.sin((t * Math.PI) / 2) : Math.cos((t * Math.PI) / 2);
+    curve[i] = target > from ? from + (target - from) * shape : target + (from - target) * shape;
+  }
+  gain.gain.cancelScheduledValues(now);
+  gain.gain.setValueCurveAtTime(curve, now, seconds);
+}
+
+/* ========== SLEEP TIMER ========== */
+
+// state.sleepTimer is { endsAt } (epoch ms) or { endOfTrack: true }, kept in
+// sessionStorage so a reload in the same tab keeps it. Volume fades out over
+// the last SLEEP_FADE_SECONDS, then playback pauses like the pause button.
+const SLEEP_FADE_SECONDS = 30;
+const SLEEP_TICK_MS = 250;
+let sleepTicker = null;
+
+function loadSleepTimer() {
+  try {
+    const saved = JSON.parse(sessionStorage.getItem(SLEEP_TIMER_STORAGE_KEY) || "null");
+    if (saved && (saved.endOfTrack || saved.endsAt > Date.now())) setSleepTimer(saved);
+    else sessionStorage.removeItem(SLEEP_TIMER_STORAGE_KEY);
+  } catch (e) {
+    console.warn("Error reading sleep timer from storage:", e);
+  }
+}
+
+// `timer`: { minutes }, { endsAt }, { endOfTrack: true } or null to cancel
+function setSleepTimer(timer) {
+  if (!timer) {
+    state.sleepTimer = null;
+  } else if (timer.endOfTrack) {
+    state.sleepTimer = { endOfTrack: true };
+    clearHandoverTimer();
+  } else {
+    state.sleepTimer = { endsAt: timer.endsAt || Date.now() + timer.minutes * 60000 };
   }
 
-  els.currentTimeLabel.textContent = formatTime(current);
+  try {
+    if (state.sleepTimer) {
+      sessionStorage.setItem(SLEEP_TIMER_STORAGE_KEY, JSON.stringify(state.sleepTimer));
+    } else {
+      sessionStorage.removeItem(SLEEP_TIMER_STORAGE_KEY);
+    }
+  } catch (e) {
+    console.warn("Error saving sleep timer to storage:", e);
+  }
 
-  if (els.audio.paused) {
-    state.isPlaying = false;
-    els.btnPlayPause.textContent = "▶";
-    updateMediaSessionPlaybackState("paused");
-    stopVisualizerLoop();
-  } else {
-    state.isPlaying = true;
-    els.btnPlayPause.textContent = "⏸";
-    updateMediaSessionPlaybackState("playing");
+  clearInterval(sleepTicker);
+  sleepTicker = state.sleepTimer ? setInterval(tickSleepTimer, SLEEP_TICK_MS) : null;
+  tickSleepTimer();
+}
+
+function promptSleepMinutes() {
+  const input = prompt("Stop playback after how many minutes?", "45");
+  if (input == null) return;
+  const minutes = parseFloat(input);
+  if (!(minutes > 0) || minutes > 24 * 60) {
+    alert("Enter a number of minutes between 1 and 1440.");
+    return;
   }
+  setSleepTimer({ minutes });
 }
 
-function updateDurationLabel() {
+// Seconds of playback left before the timer fires; null for end of track
+// while the duration is still unknown
+function getSleepRemaining() {
+  const timer = state.sleepTimer;
+  if (!timer) return null;
+  if (timer.endsAt) return Math.max(0, (timer.endsAt - Date.now()) / 1000);
   const total = els.audio.duration || 0;
-  els.totalTimeLabel.textContent = formatTime(total);
+  if (!total) return null;
+  return Math.max(0, (total - els.audio.currentTime) / (els.audio.playbackRate || 1));
 }
 
-function handleSeek() {
-  const total = els.audio.duration || 0;
-  const percent = parseFloat(els.progressBar.value);
-  if (total > 0) {
-    els.audio.currentTime = (percent / 100) * total;
+function tickSleepTimer() {
+  const remaining = getSleepRemaining();
+  if (state.sleepTimer && state.sleepTimer.endsAt && remaining <= 0) {
+    fireSleepTimer();
+    return;
   }
+
+  setSleepFade(remaining == null ? 1 : Math.min(1, remaining / SLEEP_FADE_SECONDS));
+  renderSleepTimer(remaining);
 }
 
-function handleTrackEnded() {
-  if (state.repeatMode === "one") {
-    els.audio.currentTime = 0;
-    els.audio.play().catch((err) =>
-      console.error("audio.play() failed after repeat:", err)
-    );
+// End of track is handled in handleTrackEnded, which skips the advance
+function fireSleepTimer() {
+  pausePlayback();
+  setSleepTimer(null);
+}
+
+function isSleepAtTrackEnd() {
+  return !!(state.sleepTimer && state.sleepTimer.endOfTrack);
+}
+
+function setSleepFade(factor) {
+  if (factor === state.sleepFade) return;
+  state.sleepFade = factor;
+  setAudioVolume(parseFloat(els.volumeSlider.value));
+}
+
+function renderSleepTimer(remaining) {
+  const timer = state.sleepTimer;
+  els.sleepBtn.classList.toggle("is-active", !!timer);
+  els.sleepRemaining.hidden = !timer;
+  if (!timer) {
+    els.sleepBtn.title = "Sleep timer";
     return;
   }
-  skipTrack(1);
+  els.sleepRemaining.textContent =
+    timer.endOfTrack && remaining == null ? "end of track" : formatTime(Math.ceil(remaining));
+  els.sleepBtn.title = timer.endOfTrack
+    ? "Sleep timer: pauses at the end of this track"
+    : `Sleep timer: pauses in ${formatTime(Math.ceil(remaining))}`;
 }
 
-function skipTrack(direction) {
-  if (!state.tracks.length) return;
+function toggleSleepMenu(open = els.sleepMenu.hidden) {
+  const wasOpen = !els.sleepMenu.hidden;
+  els.sleepMenu.hidden = !open;
+  els.sleepBtn.setAttribute("aria-expanded", String(open));
+  els.sleepCancelBtn.hidden = !state.sleepTimer;
+  if (open) {
+    els.sleepMenu.querySelector(".sleep-option").focus();
+  } else if (wasOpen && els.sleepMenu.contains(document.activeElement)) {
+    els.sleepBtn.focus();
+  }
+}
 
-  if (state.shuffleEnabled && state.shuffledOrder.length) {
-    state.orderIndex += direction;
+function handleSleepMenuClick(e) {
+  const btn = e.target.closest("button[data-sleep]");
+  if (!btn) return;
+  toggleSleepMenu(false);
 
-    if (
-      state.orderIndex < 0 ||
-      state.orderIndex >= state.shuffledOrder.length
-    ) {
-      buildInitialShuffleOrder();
-    }
+  const choice = btn.dataset.sleep;
+  if (choice === "custom") promptSleepMinutes();
+  else if (choice === "track") setSleepTimer({ endOfTrack: true });
+  else if (choice === "cancel") setSleepTimer(null);
+  else setSleepTimer({ minutes: Number(choice) });
+}
+
+/* ========== SPEED & A-B LOOP ========== */
+
+// Speed applies to both audio elements with pitch preserved; loading a new
+// src resets playbackRate to defaultPlaybackRate, so both are set. The A-B
+// loop belongs to the current track and is cleared when the track changes.
+const PLAYBACK_RATES = [0.5, 0.75, 0.9, 1, 1.1, 1.25, 1.5, 1.75, 2];
+const MIN_LOOP_SECONDS = 0.5;
+const LOOP_SCHEDULE_SECONDS = 0.5; // timeupdate is too coarse to jump back on time
+let loopTimer = null;
+
+function setPlaybackRate(rate) {
+  // Snap to the closest offered rate so the select always shows it
+  state.playbackRate = PLAYBACK_RATES.reduce((best, r) =>
+    Math.abs(r - rate) < Math.abs(best - rate) ? r : best
+  );
+  els.audioElements.forEach((audio) => {
+    if ("preservesPitch" in audio) audio.preservesPitch = true;
+    else audio.webkitPreservesPitch = audio.mozPreservesPitch = true;
+    audio.defaultPlaybackRate = state.playbackRate;
+    audio.playbackRate = state.playbackRate;
+  });
+  els.speedSelect.value = String(state.playbackRate);
+  updateMediaSessionPosition();
+}
+
+function seekBy(seconds) {
+  const total = els.audio.duration || 0;
+  if (!total) return;
+  els.audio.currentTime = Math.min(Math.max(els.audio.currentTime + seconds, 0), total);
+}
 
-    const idx = state.shuffledOrder[state.orderIndex];
-    loadTrackByIndex(idx, true);
+// First press sets A, the second sets B and starts looping, the third clears
+function cycleLoop() {
+  const total = els.audio.duration || 0;
+  if (!total) return;
+  const now = els.audio.currentTime;
+  const loop = state.loop;
+
+  if (loop.a == null) {
+    loop.a = now;
+  } else if (loop.b == null) {
+    if (Math.abs(now - loop.a) < MIN_LOOP_SECONDS) return;
+    [loop.a, loop.b] = [Math.min(loop.a, now), Math.max(loop.a, now)];
+    clearHandoverTimer();
+    if (now > loop.b - MIN_LOOP_SECONDS) els.audio.currentTime = loop.a;
   } else {
-    let newIndex =
-      (state.currentTrackIndex ?? 0) + direction;
+    clearLoop();
+    return;
+  }
+  renderLoop();
+}
 
-    if (newIndex < 0) newIndex = state.tracks.length - 1;
-    if (newIndex >= state.tracks.length) newIndex = 0;
+function clearLoop() {
+  state.loop = { a: null, b: null };
+  clearLoopTimer();
+  renderLoop();
+}
 
-    loadTrackByIndex(newIndex, true);
+function renderLoop() {
+  const { a, b } = state.loop;
+  els.loopBtn.classList.toggle("is-active", a != null);
+  if (a == null) {
+    els.loopBtn.textContent = "A–B";
+    els.loopBtn.title = "Set loop start (A)";
+  } else if (b == null) {
+    els.loopBtn.textContent = `A ${formatTime(a)}`;
+    els.loopBtn.title = "Set loop end (B)";
+  } else {
+    els.loopBtn.textContent = `${formatTime(a)}–${formatTime(b)}`;
+    els.loopBtn.title = "Clear A-B loop";
   }
+  els.loopBtn.setAttribute("aria-label", `${els.loopBtn.title} (${els.loopBtn.textContent})`);
 }
 
-function toggleShuffle() {
-  state.shuffleEnabled = !state.shuffleEnabled;
-  els.btnShuffle.style.background = state.shuffleEnabled
-    ? "rgba(255, 79, 154, 0.65)"
-    : "rgba(24, 30, 58, 0.9)";
+// Called from updateProgress; jumps back to A once B is reached
+function checkLoop(current) {
+  const { a, b } = state.loop;
+  if (b == null || els.audio.paused) return;
+  if (current >= b) {
+    els.audio.currentTime = a;
+    return;
+  }
+
+  const delay = (b - current) / (els.audio.playbackRate || 1);
+  if (loopTimer || delay > LOOP_SCHEDULE_SECONDS) return;
+  loopTimer = setTimeout(() => {
+    loopTimer = null;
+    if (state.loop.b != null && !els.audio.paused) els.audio.currentTime = state.loop.a;
+  }, delay * 1000);
+}
+
+function clearLoopTimer() {
+  clearTimeout(loopTimer);
+  loopTimer = null;
+}
 
-  if (state.shuffleEnabled) {
-    buildInitialShuffleOrder();
+/* ========== LOUDNESS NORMALIZATION ========== */
+
+// Gain per track, in order of preference: the catalog's replayGain (dB),
+// its loudness (LUFS) against the ReplayGain 2.0 reference, or our own
+// measurement, taken while the track plays and cached in IndexedDB. Album
+// mode uses albumGain or, failing that, the combined loudness of the
+// album's measured tracks.
+const LOUDNESS_TARGET_LUFS = -18;
+const NORMALIZATION_MODES = ["off", "track", "album"];
+const LOUDNESS_WINDOW_SECONDS = 60; // audible time measured per track
+const LOUDNESS_MIN_SECONDS = 15;    // shorter listens are not stored
+const LOUDNESS_SILENCE_POWER = 10 ** ((-70 + 0.691) / 10); // the absolute gate
+const loudnessMeters = new Map(); // audio element -> meter, see initLoudnessMeters()
+
+async function loadLoudnessCache() {
+  try {
+    const records = await dbRequest(LOUDNESS_STORE, "readonly", (store) => store.getAll());
+    records.forEach(({ id, loudness, peak }) => {
+      state.loudnessCache[id] = { loudness, peak };
+    });
+    applyNormalization(els.audio, state.tracks[state.currentTrackIndex], true);
+  } catch (e) {
+    console.warn("Error reading loudness cache from IndexedDB:", e);
   }
-  renderUpNext();
 }
 
-function toggleRepeat() {
-  if (state.repeatMode === "off") {
-    state.repeatMode = "one";
-    els.btnRepeat.title = "Repeat (one)";
-    els.btnRepeat.style.background = "rgba(255, 79, 154, 0.65)";
+function setNormalizationMode(mode) {
+  state.normalization = NORMALIZATION_MODES.includes(mode) ? mode : "off";
+  els.normalizationSelect.value = state.normalization;
+  applyLimiter();
+
+  const current = state.tracks[state.currentTrackIndex];
+  applyNormalization(els.audio, current, true);
+  if (current) startLoudnessMeter(els.audio, current);
+}
+
+// { gain, peak } for the track alone; gain is null until it is known
+function getTrackLoudness(track) {
+  if (track.replayGain != null) return { gain: track.replayGain, peak: track.peak };
+  if (track.loudness != null) {
+    return { gain: LOUDNESS_TARGET_LUFS - track.loudness, peak: track.peak };
+  }
+  const measured = state.loudnessCache[track.id];
+  if (measured) {
+    return { gain: LOUDNESS_TARGET_LUFS - measured.loudness, peak: track.peak ?? measured.peak };
+  }
+  return { gain: null, peak: track.peak };
+}
+
+function getAlbumGain(track) {
+  const key = `${track.artist.toLowerCase()}\n${track.album.toLowerCase()}`;
+  const siblings = state.tracks.filter(
+    (t) => t.album && `${t.artist.toLowerCase()}\n${t.album.toLowerCase()}` === key
+  );
+  const tagged = siblings.find((t) => t.albumGain != null);
+  if (tagged) return tagged.albumGain;
+
+  // Energy average of the loudness of every track known so far
+  const known = siblings
+    .map((t) => getTrackLoudness(t).gain)
+    .filter((gain) => gain != null)
+    .map((gain) => 10 ** ((LOUDNESS_TARGET_LUFS - gain) / 10));
+  if (!known.length) return null;
+  const loudness = 10 * Math.log10(known.reduce((a, b) => a + b, 0) / known.length);
+  return LOUDNESS_TARGET_LUFS - loudness;
+}
+
+// Gain in dB for `track` under the current mode; 0 when unknown
+function getNormalizationGain(track) {
+  if (state.normalization === "off" || !track) return 0;
+
+  const { gain: trackGain, peak } = getTrackLoudness(track);
+  let gain = trackGain;
+  if (state.normalization === "album" && track.album) {
+    gain = getAlbumGain(track) ?? gain;
+  }
+  if (gain == null) return 0;
+
+  // Don't push a known peak past full scale; the limiter catches the rest
+  if (peak > 0) gain = Math.min(gain, -20 * Math.log10(peak));
+  return gain;
+}
+
+function applyNormalization(audio, track, smooth) {
+  const node = audioGraph.norms.get(audio);
+  if (!node) return;
+  const value = 10 ** (getNormalizationGain(track) / 20);
+  const now = audioGraph.ctx.currentTime;
+  node.gain.cancelScheduledValues(now);
+  if (smooth) node.gain.setTargetAtTime(value, now, 0.5);
+  else node.gain.value = value;
+}
+
+// With normalization off the EQ feeds the analyser directly: a compressor
+// delays and reshapes the signal even when it has nothing to limit
+function applyLimiter() {
+  const limiter = audioGraph.limiter;
+  if (!limiter) return;
+  const on = state.normalization !== "off";
+  if (limiter.engaged === on) return;
+  limiter.input.disconnect();
+  limiter.node.disconnect();
+  if (on) {
+    limiter.input.connect(limiter.node);
+    limiter.node.connect(limiter.output);
   } else {
-    state.repeatMode = "off";
-    els.btnRepeat.title = "Repeat (off)";
-    els.btnRepeat.style.background = "rgba(24, 30, 58, 0.9)";
+    limiter.input.connect(limiter.output);
   }
+  limiter.engaged = on;
 }
 
-function formatTime(sec) {
-  sec = Math.floor(sec);
-  const m = Math.floor(sec / 60);
-  const s = sec % 60;
-  return `${m}:${s.toString().padStart(2, "0")}`;
+/* Loudness meter */
+
+// Tracks without loudness data are measured while they play: a worklet
+// (loudness-meter.js) on each element's source posts K-weighted 100 ms
+// segments, and the track's loudness is integrated once it has played for
+// the measurement window, or when it ends or is replaced after at least
+// LOUDNESS_MIN_SECONDS. Nothing is downloaded or decoded a second time.
+function initLoudnessMeters(sources) {
+  const ctx = audioGraph.ctx;
+  if (!ctx.audioWorklet) return;
+
+  ctx.audioWorklet
+    .addModule("loudness-meter.js")
+    .then(() => {
+      sources.forEach((source, audio) => {
+        const node = new AudioWorkletNode(ctx, "loudness-meter");
+        // The meter outputs silence; connecting it keeps it processing
+        source.connect(node);
+        node.connect(ctx.destination);
+        const meter = { node, generation: 0, trackId: null, segments: [], loud: 0, peak: 0 };
+        node.port.onmessage = (event) => handleLoudnessSegment(meter, event.data);
+        audio.addEventListener("ended", () => finishLoudnessMeter(meter));
+        loudnessMeters.set(audio, meter);
+      });
+      const current = state.tracks[state.currentTrackIndex];
+      if (current) startLoudnessMeter(els.audio, current);
+      if (state.preloadedId) {
+        startLoudnessMeter(els.audioNext, state.tracks[indexOfTrackId(state.preloadedId)]);
+      }
+    })
+    .catch((e) => console.warn("Loudness meter is unavailable:", e));
 }
 
-/* ========== PLAYLISTS ========== */
+// Points the element's meter at `track`, which it is about to play
+function startLoudnessMeter(audio, track) {
+  const meter = loudnessMeters.get(audio);
+  if (!meter || !track || meter.trackId === track.id) return;
+  finishLoudnessMeter(meter);
+  if (state.normalization === "off" || getTrackLoudness(track).gain != null) return;
 
-function loadPlaylistsFromStorage() {
+  meter.trackId = track.id;
+  meter.generation++;
+  meter.node.port.postMessage({ generation: meter.generation });
+}
+
+function handleLoudnessSegment(meter, { generation, power, peak }) {
+  if (!meter.trackId || generation !== meter.generation) return;
+  meter.segments.push(power);
+  meter.peak = Math.max(meter.peak, peak);
+  // Only audible segments count towards the window, so pauses don't
+  if (power > LOUDNESS_SILENCE_POWER) meter.loud++;
+  if (meter.loud >= LOUDNESS_WINDOW_SECONDS * 10) finishLoudnessMeter(meter);
+}
+
+function finishLoudnessMeter(meter) {
+  const id = meter.trackId;
+  const enough = meter.loud >= LOUDNESS_MIN_SECONDS * 10;
+  const result = id && enough ? integrateLoudness(meter.segments) : null;
+  const peak = meter.peak;
+  meter.trackId = null;
+  meter.segments = [];
+  meter.loud = 0;
+  meter.peak = 0;
+  if (!result || state.loudnessCache[id]) return;
+
+  state.loudnessCache[id] = { loudness: result, peak };
+  dbRequest(LOUDNESS_STORE, "readwrite", (store) => store.put({ id, loudness: result, peak })).catch(
+    (e) => console.warn("Error caching loudness:", e)
+  );
+
+  const current = state.tracks[state.currentTrackIndex];
+  if (current && (current.id === id || state.normalization === "album")) {
+    applyNormalization(els.audio, current, true);
+  }
+  if (state.preloadedId) {
+    applyNormalization(els.audioNext, state.tracks[indexOfTrackId(state.preloadedId)], false);
+  }
+}
+
+// Integrated loudness per ITU-R BS.1770-4 from 100 ms segment powers:
+// 400 ms blocks with 75% overlap, -70 LUFS absolute gate and -10 LU
+// relative gate. Surround channel weights are ignored. Null when nothing
+// passed the absolute gate.
+function integrateLoudness(segments) {
+  const blocks = [];
+  for (let s = 3; s < segments.length; s++) {
+    blocks.push((segments[s - 3] + segments[s - 2] + segments[s - 1] + segments[s]) / 4);
+  }
+  const toLufs = (meanSquare) => -0.691 + 10 * Math.log10(meanSquare);
+  const gatedMean = (threshold) => {
+    const kept = blocks.filter((ms) => toLufs(ms) > threshold);
+    return kept.length ? kept.reduce((a, b) => a + b, 0) / kept.length : 0;
+  };
+
+  const absolute = gatedMean(-70);
+  if (!absolute) return null;
+  return toLufs(gatedMean(toLufs(absolute) - 10));
+}
+
+/* ========== EQUALIZER ========== */
+
+// Ten-band graphic EQ: low shelf, eight peaking bands and a high shelf,
+// about an octave apart. Turning it off flattens every band rather than
+// rewiring the graph, so it can be toggled mid-track without clicks.
+const EQ_FREQUENCIES = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+const EQ_MAX_GAIN = 12; // dB, for bands and preamp
+const EQ_Q = 1.41;
+const EQ_SAVE_DELAY_MS = 300;
+let eqSaveTimer = null;
+
+// Boosting presets lower the preamp to leave headroom
+const EQ_PRESETS = {
+  Flat: { preamp: 0, gains: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  "Bass Boost": { preamp: -5, gains: [6, 5, 4, 2, 0, 0, 0, 0, 0, 0] },
+  "Bass Cut": { preamp: 0, gains: [-6, -5, -4, -2, 0, 0, 0, 0, 0, 0] },
+  Vocal: { preamp: -3, gains: [-2, -2, -1, 1, 3, 4, 3, 1, 0, -1] },
+  "Treble Boost": { preamp: -5, gains: [0, 0, 0, 0, 0, 1, 2, 4, 5, 6] },
+  Rock: { preamp: -4, gains: [4, 3, 1, -1, -2, -1, 1, 3, 4, 4] },
+  Electronic: { preamp: -4, gains: [5, 4, 1, 0, -2, 1, 0, 1, 4, 5] },
+  Acoustic: { preamp: -2, gains: [3, 2, 1, 1, 2, 1, 2, 3, 2, 1] }
+};
+
+function clampEqGain(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.min(EQ_MAX_GAIN, Math.max(-EQ_MAX_GAIN, n)) : 0;
+}
+
+function normalizeEqSettings(values) {
+  return {
+    preamp: clampEqGain(values && values.preamp),
+    gains: EQ_FREQUENCIES.map((f, i) => clampEqGain(values && values.gains && values.gains[i]))
+  };
+}
+
+function loadEqSettings() {
   try {
-    const raw = localStorage.getItem(PLAYLIST_STORAGE_KEY);
-    if (!raw) {
-      const favId = generateId();
-      state.playlists[favId] = {
-        id: favId,
-        name: "Favorites",
-        trackIds: []
-      };
-      state.activePlaylistId = favId;
-      renderPlaylistSidebar();
-      return;
-    }
+    const raw = localStorage.getItem(EQ_STORAGE_KEY);
+    if (!raw) return;
     const parsed = JSON.parse(raw);
-    state.playlists = parsed.playlists || {};
-    state.activePlaylistId =
-      parsed.activePlaylistId || Object.keys(state.playlists)[0];
-    renderPlaylistSidebar();
+    const userPresets = {};
+    Object.entries(parsed.userPresets || {}).forEach(([name, values]) => {
+      if (!EQ_PRESETS[name]) userPresets[name] = normalizeEqSettings(values);
+    });
+    state.eq = {
+      enabled: parsed.enabled !== false,
+      preset: typeof parsed.preset === "string" ? parsed.preset : null,
+      ...normalizeEqSettings(parsed),
+      userPresets
+    };
   } catch (e) {
-    console.warn("Error reading playlists from storage:", e);
+    console.warn("Error reading equalizer settings from storage:", e);
   }
 }
 
-function savePlaylistsToStorage() {
+function saveEqSettings() {
+  clearTimeout(eqSaveTimer);
   try {
-    const payload = {
-      playlists: state.playlists,
-      activePlaylistId: state.activePlaylistId
-    };
-    localStorage.setItem(PLAYLIST_STORAGE_KEY, JSON.stringify(payload));
+    localStorage.setItem(EQ_STORAGE_KEY, JSON.stringify(state.eq));
   } catch (e) {
-    console.warn("Error saving playlists to storage:", e);
+    console.warn("Error saving equalizer settings to storage:", e);
   }
 }
 
-function renderPlaylistSidebar() {
-  els.playlistList.innerHTML = "";
+function scheduleEqSave() {
+  clearTimeout(eqSaveTimer);
+  eqSaveTimer = setTimeout(saveEqSettings, EQ_SAVE_DELAY_MS);
+}
 
-  Object.values(state.playlists).forEach((pl) => {
-    const li = document.createElement("li");
-    li.className =
-      "playlist-item" +
-      (pl.id === state.activePlaylistId ? " active" : "");
-    li.dataset.id = pl.id;
+// Builds preamp -> bands; returns { input, output } to splice into the graph
+function createEqualizer(ctx) {
+  const preamp = ctx.createGain();
+  const bands = EQ_FREQUENCIES.map((frequency, i) => {
+    const band = ctx.createBiquadFilter();
+    band.type =
+      i === 0 ? "lowshelf" : i === EQ_FREQUENCIES.length - 1 ? "highshelf" : "peaking";
+    band.frequency.value = frequency;
+    band.Q.value = EQ_Q;
+    return band;
+  });
 
-    li.innerHTML = `
-      <span class="playlist-name">${pl.name}</span>
-      <span class="playlist-count">${pl.trackIds.length} tracks</span>
-    `;
+  bands.reduce((prev, band) => {
+    prev.connect(band);
+    return band;
+  }, preamp);
 
-    li.addEventListener("click", () => {
-      state.activePlaylistId = pl.id;
-      savePlaylistsToStorage();
-      renderPlaylistSidebar();
-      renderPlaylistView(pl);
-    });
+  audioGraph.eq = { preamp, bands };
+  applyEqualizer();
+  return { input: preamp, output: bands[bands.length - 1] };
+}
 
-    els.playlistList.appendChild(li);
+function applyEqualizer() {
+  const eq = audioGraph.eq;
+  if (!eq) return;
+
+  const now = audioGraph.ctx.currentTime;
+  const on = state.eq.enabled;
+  // Short time constant: smooth enough to avoid zipper noise while dragging
+  eq.preamp.gain.setTargetAtTime(on ? 10 ** (state.eq.preamp / 20) : 1, now, 0.02);
+  eq.bands.forEach((band, i) => {
+    band.gain.setTargetAtTime(on ? state.eq.gains[i] : 0, now, 0.02);
   });
 }
 
-function renderPlaylistView(playlist) {
-  const indices = shuffleArray(playlist.trackIds);
-  els.trackGrid.innerHTML = "";
-  indices.forEach((i) => {
-    const track = state.tracks[i];
-    if (!track) return;
+function findEqPreset(name) {
+  return EQ_PRESETS[name] || state.eq.userPresets[name] || null;
+}
 
-    const coverSrc =
-      track.cover && track.cover !== "undefined"
-        ? track.cover
-        : "https://picsum.photos/seed/symphoniaplaceholder/400/400";
+// The preset name sticks only while the sliders still match it
+function matchEqPreset() {
+  const same = (p) =>
+    p.preamp === state.eq.preamp && p.gains.every((g, i) => g === state.eq.gains[i]);
+  const current = findEqPreset(state.eq.preset);
+  if (current && same(current)) return state.eq.preset;
+  const names = [...Object.keys(EQ_PRESETS), ...Object.keys(state.eq.userPresets)];
+  return names.find((name) => same(findEqPreset(name))) || null;
+}
 
-    const card = document.createElement("div");
-    card.className = "track-card";
-    card.dataset.index = i;
+function setEqBand(i, value) {
+  if (i === "preamp") state.eq.preamp = clampEqGain(value);
+  else state.eq.gains[i] = clampEqGain(value);
+  state.eq.preset = matchEqPreset();
+  applyEqualizer();
+  renderEqPanel();
+  scheduleEqSave();
+}
 
-    card.innerHTML = `
-      <div class="track-cover-wrapper">
-        <img src="${coverSrc}" alt="${track.title}" class="track-cover" />
-        <div class="track-hover-play">▶</div>
-      </div>
-      <div class="track-meta">
-        <div class="track-title">${track.title}</div>
-        <div class="track-artist">${track.artist}</div>
-      </div>
-      <div class="track-tags">
-        <span>${track.album || ""}</span>
-        <button class="add-to-playlist-btn" data-index="${i}">+ Playlist</button>
-      </div>
-    `;
+function applyEqPreset(name) {
+  const preset = findEqPreset(name);
+  if (!preset) return;
+  state.eq.preset = name;
+  state.eq.preamp = preset.preamp;
+  state.eq.gains = preset.gains.slice();
+  state.eq.enabled = true;
+  applyEqualizer();
+  renderEqPanel();
+  saveEqSettings();
+}
 
-    els.trackGrid.appendChild(card);
-  });
+function setEqEnabled(enabled) {
+  state.eq.enabled = enabled;
+  applyEqualizer();
+  renderEqPanel();
+  saveEqSettings();
 }
 
-function createNewPlaylist() {
-  const name = prompt("Playlist name:");
+function saveEqPreset() {
+  const suggested = state.eq.userPresets[state.eq.preset] ? state.eq.preset : "";
+  const name = (prompt("Preset name:", suggested) || "").trim();
   if (!name) return;
-
-  const id = generateId();
-  state.playlists[id] = {
-    id,
-    name: name.trim(),
-    trackIds: []
-  };
-  state.activePlaylistId = id;
-  savePlaylistsToStorage();
-  renderPlaylistSidebar();
+  if (EQ_PRESETS[name]) {
+    alert(`"${name}" is a built-in preset. Choose another name.`);
+    return;
+  }
+  state.eq.userPresets[name] = { preamp: state.eq.preamp, gains: state.eq.gains.slice() };
+  state.eq.preset = name;
+  renderEqPanel();
+  saveEqSettings();
 }
 
-function handleAddTrackToPlaylist(trackIndex) {
-  let targetId = state.activePlaylistId;
+function deleteEqPreset() {
+  const name = state.eq.preset;
+  if (!state.eq.userPresets[name]) return;
+  if (!confirm(`Delete the preset "${name}"?`)) return;
+  delete state.eq.userPresets[name];
+  state.eq.preset = matchEqPreset();
+  renderEqPanel();
+  saveEqSettings();
+}
 
-  if (!targetId) {
-    const ids = Object.keys(state.playlists);
-    if (!ids.length) {
-      const favId = generateId();
-      state.playlists[favId] = {
-        id: favId,
-        name: "Favorites",
-        trackIds: []
-      };
-      targetId = favId;
-      state.activePlaylistId = favId;
-    } else {
-      targetId = ids[0];
-      state.activePlaylistId = targetId;
-    }
+function toggleEqPanel(open = els.eqPanel.hidden) {
+  const wasOpen = !els.eqPanel.hidden;
+  els.eqPanel.hidden = !open;
+  els.eqToggleBtn.setAttribute("aria-expanded", String(open));
+  if (open) {
+    renderEqPanel();
+    els.eqEnabled.focus();
+  } else if (wasOpen && els.eqPanel.contains(document.activeElement)) {
+    els.eqToggleBtn.focus();
   }
+}
 
-  const pl = state.playlists[targetId];
-  if (!pl.trackIds.includes(trackIndex)) {
-    pl.trackIds.push(trackIndex);
-  }
+function renderEqBands() {
+  els.eqBands.innerHTML = "";
+  EQ_FREQUENCIES.forEach((frequency, i) => {
+    const band = createNode("div.eq-band", {}, [
+      createNode("span.eq-gain"),
+      createNode("input", {
+        type: "range",
+        min: -EQ_MAX_GAIN,
+        max: EQ_MAX_GAIN,
+        step: 0.5,
+        dataset: { band: i },
+        "aria-label": `${frequency >= 1000 ? `${frequency / 1000} kHz` : `${frequency} Hz`} band`
+      }),
+      createNode("span.eq-freq", { "aria-hidden": "true" }, [
+        frequency >= 1000 ? `${frequency / 1000}k` : String(frequency)
+      ])
+    ]);
+    els.eqBands.appendChild(band);
+  });
+}
 
-  savePlaylistsToStorage();
-  renderPlaylistSidebar();
+function formatDb(value) {
+  return `${value > 0 ? "+" : ""}${value} dB`;
 }
 
-function generateId() {
-  return Math.random().toString(36).slice(2, 9);
+function renderEqPanel() {
+  const { enabled, preset, preamp, gains, userPresets } = state.eq;
+  els.eqToggleBtn.classList.toggle("is-active", enabled && !!(preamp || gains.some(Boolean)));
+  els.eqPanel.classList.toggle("is-bypassed", !enabled);
+  els.eqEnabled.checked = enabled;
+
+  els.eqPreamp.value = preamp;
+  els.eqPreamp.setAttribute("aria-valuetext", formatDb(preamp));
+  els.eqPreampValue.textContent = formatDb(preamp);
+  els.eqBands.querySelectorAll(".eq-band").forEach((band, i) => {
+    band.querySelector("input").value = gains[i];
+    band.querySelector("input").setAttribute("aria-valuetext", formatDb(gains[i]));
+    band.querySelector(".eq-gain").textContent = formatDb(gains[i]);
+  });
+
+  els.eqPresetSelect.innerHTML = "";
+  const addGroup = (label, names) => {
+    if (!names.length) return;
+    els.eqPresetSelect.appendChild(
+      createNode("optgroup", { label }, names.map((name) => new Option(name, name)))
+    );
+  };
+  if (!preset) els.eqPresetSelect.appendChild(new Option("Custom", ""));
+  addGroup("Presets", Object.keys(EQ_PRESETS));
+  addGroup("Your presets", Object.keys(userPresets).sort());
+  els.eqPresetSelect.value = preset || "";
+
+  els.eqDeletePresetBtn.disabled = !userPresets[preset];
 }
 
-/* ========== MEDIA SESSION API ========== */
+/* ========== ACCESSIBILITY ========== */
 
-function initMediaSession() {
-  if (!("mediaSession" in navigator)) return;
+// Clickable containers that aren't buttons; Enter and Space click them so
+// keyboard users go through the same delegated click handlers
+const ACTIVATABLE_SELECTOR = ".tracks-row, .playlist-item, .history-item";
+const dialogReturnFocus = new Map(); // dialog -> element focused before it opened
 
-  const ms = navigator.mediaSession;
+function handleActivationKey(e) {
+  if (e.key !== "Enter" && e.key !== " ") return;
+  if (!e.target.matches || !e.target.matches(ACTIVATABLE_SELECTOR)) return;
+  e.preventDefault();
+  e.target.click();
+}
 
-  ms.setActionHandler("play", () => {
-    initVisualizer();
-    els.audio.play().catch((err) =>
-      console.error("mediaSession play failed:", err)
-    );
-    startVisualizerLoop();
-  });
-  ms.setActionHandler("pause", () => {
-    els.audio.pause();
-    stopVisualizerLoop();
-  });
-  ms.setActionHandler("previoustrack", () => {
-    skipTrack(-1);
-  });
-  ms.setActionHandler("nexttrack", () => {
-    skipTrack(1);
-  });
-  ms.setActionHandler("seekbackward", (details) => {
-    const skip = details.seekOffset || 10;
-    els.audio.currentTime = Math.max(els.audio.currentTime - skip, 0);
-  });
-  ms.setActionHandler("seekforward", (details) => {
-    const skip = details.seekOffset || 10;
-    els.audio.currentTime = Math.min(
-      els.audio.currentTime + skip,
-      els.audio.duration || Infinity
-    );
-  });
+// Screen readers repeat identical text only if the region changes first
+function announce(message) {
+  els.liveAnnouncer.textContent = "";
+  setTimeout(() => {
+    els.liveAnnouncer.textContent = message;
+  }, 50);
 }
 
-function updateMediaSessionMetadata(track) {
-  if (!("mediaSession" in navigator)) return;
+// showModal() traps focus inside the dialog; focus goes back to whatever
+// opened it once it closes (see the "close" listeners in attachUIHandlers)
+function openDialog(dialog) {
+  dialogReturnFocus.set(dialog, document.activeElement);
+  dialog.showModal();
+  const first = dialog.querySelector("button, input, select, [tabindex='0']");
+  if (first) first.focus();
+}
 
-  try {
-    navigator.mediaSession.metadata = new MediaMetadata({
-      title: track.title,
-      artist: track.artist,
-      album: track.album || "",
-      artwork: track.cover
-        ? [
-            { src: track.cover, sizes: "96x96", type: "image/jpeg" },
-            { src: track.cover, sizes: "256x256", type: "image/jpeg" },
-            { src: track.cover, sizes: "512x512", type: "image/jpeg" }
-          ]
-        : []
-    });
-  } catch (e) {
-    console.warn("Error updating Media Session metadata:", e);
-  }
+function restoreDialogFocus(dialog) {
+  const target = dialogReturnFocus.get(dialog);
+  dialogReturnFocus.delete(dialog);
+  if (target && target.isConnected && target.focus) target.focus();
 }
 
-function updateMediaSessionPlaybackState(stateStr) {
-  if (!("mediaSession" in navigator)) return;
-  try {
-    navigator.mediaSession.playbackState = stateStr;
-  } catch (e) {
-    // ignore
-  }
+function prefersReducedMotion() {
+  return !!(window.matchMedia && window.matchMedia("(prefers-reduced-motion: reduce)").matches);
 }
 
 /* ========== VISUALIZER (WEB AUDIO API) ========== */
 
-function initVisualizer() {
-  if (!els.visualizer) return;
-  if (visualizerState.ctx) return; // already initialized
+// Both audio elements feed one EQ, limiter and analyser, so processing and
+// the visualizer follow the music across hand-overs:
+//   audioElement     -> loudness gain -> fade gain -+
+//   audioElementNext -> loudness gain -> fade gain -+-> EQ -> limiter -> analyser -> destination
+// The limiter is only in the chain with normalization on (see applyLimiter),
+// and each element's source also feeds its loudness meter.
+const audioGraph = {
+  ctx: null,
+  norms: new Map(), // audio element -> GainNode for loudness normalization
+  fades: new Map(), // audio element -> GainNode used for crossfades
+  eq: null,         // { preamp, bands } from createEqualizer()
+  limiter: null,    // { node, input, output, engaged }, routed by applyLimiter()
+  analyser: null
+};
+
+function initAudioGraph() {
+  if (audioGraph.ctx) return true;
 
   const AudioCtx = window.AudioContext || window.webkitAudioContext;
-  if (!AudioCtx) return;
+  if (!AudioCtx) return false;
 
   const ctx = new AudioCtx();
-  const source = ctx.createMediaElementSource(els.audio);
+  audioGraph.ctx = ctx;
   const analyser = ctx.createAnalyser();
   analyser.fftSize = 64;
-
-  source.connect(analyser);
+  const eq = createEqualizer(ctx);
+  const limiter = ctx.createDynamicsCompressor();
+  limiter.threshold.value = -1;
+  limiter.ratio.value = 20;
+  limiter.knee.value = 0;
+  limiter.attack.value = 0.003;
+  limiter.release.value = 0.1;
+  audioGraph.limiter = { node: limiter, input: eq.output, output: analyser, engaged: null };
+  applyLimiter();
+
+  const sources = new Map();
+  els.audioElements.forEach((audio) => {
+    const norm = ctx.createGain();
+    const fade = ctx.createGain();
+    fade.gain.value = audio === els.audio ? 1 : 0;
+    const source = ctx.createMediaElementSource(audio);
+    source.connect(norm);
+    sources.set(audio, source);
+    norm.connect(fade);
+    fade.connect(eq.input);
+    audioGraph.norms.set(audio, norm);
+    audioGraph.fades.set(audio, fade);
+  });
   analyser.connect(ctx.destination);
+  applyNormalization(els.audio, state.tracks[state.currentTrackIndex], false);
+  initLoudnessMeters(sources);
+
+  audioGraph.analyser = analyser;
+  return true;
+}
+
+function initVisualizer() {
+  if (!initAudioGraph()) return;
+  if (!els.visualizer) return;
+  if (visualizerState.ctx) return; // already initialized
 
+  const analyser = audioGraph.analyser;
   const bufferLength = analyser.frequencyBinCount;
   const dataArray = new Uint8Array(bufferLength);
 
-  visualizerState.ctx = ctx;
+  visualizerState.ctx = audioGraph.ctx;
   visualizerState.analyser = analyser;
   visualizerState.dataArray = dataArray;
 
@@ -859,8 +6423,7 @@ function initVisualizer() {
   visualizerState.bars = [];
 
   for (let i = 0; i < barCount; i++) {
-    const bar = document.createElement("div");
-    bar.className = "visualizer-bar";
+    const bar = createNode("div.visualizer-bar");
     els.visualizer.appendChild(bar);
     visualizerState.bars.push(bar);
   }
@@ -876,6 +6439,8 @@ function startVisualizerLoop() {
   if (visualizerState.rafId) {
     cancelAnimationFrame(visualizerState.rafId);
   }
+  // The bars stay at rest for users who asked for less motion
+  if (prefersReducedMotion()) return;
 
   const render = () => {
     visualizerState.analyser.getByteFrequencyData(visualizerState.dataArray);
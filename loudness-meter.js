@@ -0,0 +1,101 @@
+// AudioWorklet processor behind the loudness meter in app.js (see
+// "LOUDNESS NORMALIZATION"). It K-weights whatever an audio element plays,
+// per ITU-R BS.1770-4, and posts the mean square of every 100 ms segment,
+// summed over channels. Gating and integration happen on the main thread.
+
+// Filter coefficients for any sample rate, derived from the 48 kHz ones in
+// the standard (as in libebur128)
+function kWeightingCoefficients(rate) {
+  // Stage 1: high shelf
+  let f0 = 1681.974450955533;
+  const gain = 3.999843853973347;
+  let q = 0.7071752369554196;
+  let k = Math.tan((Math.PI * f0) / rate);
+  const vh = Math.pow(10, gain / 20);
+  const vb = Math.pow(vh, 0.4996667741545416);
+  let a0 = 1 + k / q + k * k;
+  const shelf = {
+    b: [(vh + (vb * k) / q + k * k) / a0, (2 * (k * k - vh)) / a0, (vh - (vb * k) / q + k * k) / a0],
+    a: [(2 * (k * k - 1)) / a0, (1 - k / q + k * k) / a0]
+  };
+
+  // Stage 2: high pass
+  f0 = 38.13547087602444;
+  q = 0.5003270373238773;
+  k = Math.tan((Math.PI * f0) / rate);
+  a0 = 1 + k / q + k * k;
+  const highPass = {
+    b: [1, -2, 1],
+    a: [(2 * (k * k - 1)) / a0, (1 - k / q + k * k) / a0]
+  };
+  return { shelf, highPass };
+}
+
+class LoudnessMeterProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.coefficients = kWeightingCoefficients(sampleRate);
+    this.segmentLength = Math.round(sampleRate * 0.1);
+    this.generation = 0;
+    this.reset();
+    // A new generation means the element switched tracks
+    this.port.onmessage = (event) => {
+      this.generation = event.data.generation;
+      this.reset();
+    };
+  }
+
+  reset() {
+    this.filters = [];
+    this.sum = 0;
+    this.peak = 0;
+    this.frames = 0;
+  }
+
+  process(inputs) {
+    const input = inputs[0];
+    if (!input || !input.length) return true;
+
+    const { shelf, highPass } = this.coefficients;
+    const frames = input[0].length;
+    let start = 0;
+    while (start < frames) {
+      const end = Math.min(frames, start + this.segmentLength - this.frames);
+      for (let ch = 0; ch < input.length; ch++) {
+        const data = input[ch];
+        // Direct form I state: x1, x2, y1, y2, z1, z2
+        const f = (this.filters[ch] ||= new Float64Array(6));
+        let sum = 0;
+        for (let i = start; i < end; i++) {
+          const x = data[i];
+          const abs = x < 0 ? -x : x;
+          if (abs > this.peak) this.peak = abs;
+
+          const y = shelf.b[0] * x + shelf.b[1] * f[0] + shelf.b[2] * f[1] - shelf.a[0] * f[2] - shelf.a[1] * f[3];
+          const z = y - 2 * f[2] + f[3] - highPass.a[0] * f[4] - highPass.a[1] * f[5];
+          f[1] = f[0]; f[0] = x;
+          f[3] = f[2]; f[2] = y;
+          f[5] = f[4]; f[4] = z;
+          sum += z * z;
+        }
+        this.sum += sum;
+      }
+      this.frames += end - start;
+      start = end;
+
+      if (this.frames === this.segmentLength) {
+        this.port.postMessage({
+          generation: this.generation,
+          power: this.sum / this.segmentLength,
+          peak: this.peak
+        });
+        this.sum = 0;
+        this.peak = 0;
+        this.frames = 0;
+      }
+    }
+    return true;
+  }
+}
+
+registerProcessor("loudness-meter", LoudnessMeterProcessor);
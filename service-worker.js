@@ -1,17 +1,37 @@
-const CACHE_NAME = "symphonia-nuvi-cache-v2";
-const ASSETS = [
+// The app shell is served from the cache and revalidated in the background
+// on every page load; when it changed, the page offers a "New version
+// available" reload. Changes to this file go through the waiting worker.
+const CACHE_NAME = "symphonia-nuvi-shell";
+// Offline audio downloaded from the app (see "OFFLINE DOWNLOADS" in app.js)
+const AUDIO_CACHE_NAME = "symphonia-audio-v1";
+const SHELL_ASSETS = [
   "./",
   "./index.html",
   "./styles.css",
   "./app.js",
-  "./music-db.json"
+  "./loudness-meter.js"
 ];
+const ASSETS = [...SHELL_ASSETS, "./music-db.json"];
+// Sent by the page with catalog requests (see fetchCatalogSource in app.js)
+const CATALOG_ACCEPT = "application/vnd.symphonia.catalog+json, application/json";
 
 self.addEventListener("install", (event) => {
+  // No skipWaiting() here: an update waits until the user accepts it
   event.waitUntil(
-    caches.open(CACHE_NAME).then((cache) => cache.addAll(ASSETS))
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.addAll(ASSETS.map((url) => new Request(url, { cache: "reload" }))))
   );
-  self.skipWaiting();
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "SKIP_WAITING") {
+    self.skipWaiting();
+  }
+  // Long-lived pages ask now and then
+  if (event.data && event.data.type === "CHECK_SHELL") {
+    event.waitUntil(revalidateShell());
+  }
 });
 
 self.addEventListener("activate", (event) => {
@@ -19,7 +39,7 @@ self.addEventListener("activate", (event) => {
     caches.keys().then((keys) =>
       Promise.all(
         keys.map((key) => {
-          if (key !== CACHE_NAME) {
+          if (key !== CACHE_NAME && key !== AUDIO_CACHE_NAME) {
             return caches.delete(key);
           }
         })
@@ -33,6 +53,22 @@ self.addEventListener("fetch", (event) => {
   const { request } = event;
   if (request.method !== "GET") return;
 
+  if (isAudioRequest(request)) {
+    event.respondWith(serveAudio(request));
+    return;
+  }
+
+  // Catalogs: always try the network first so new entries show up, and
+  // fall back to the last copy.
+  if ((request.headers.get("Accept") || "") === CATALOG_ACCEPT) {
+    event.respondWith(networkFirst(request));
+    return;
+  }
+
+  if (request.mode === "navigate") {
+    event.waitUntil(revalidateShell());
+  }
+
   event.respondWith(
     caches.match(request).then((cached) => {
       if (cached) return cached;
@@ -40,3 +76,126 @@ self.addEventListener("fetch", (event) => {
     })
   );
 });
+
+/* App shell: stale-while-revalidate */
+
+let shellCheck = null;
+
+// Fetches the whole shell and, when any file differs from the cached copy,
+// replaces all of it at once so the page never mixes old and new files
+function revalidateShell() {
+  if (shellCheck) return shellCheck;
+  shellCheck = (async () => {
+    const cache = await caches.open(CACHE_NAME);
+    const fresh = await Promise.all(
+      SHELL_ASSETS.map((url) => fetch(url, { cache: "no-cache" }))
+    );
+    if (fresh.some((res) => !res.ok)) return;
+
+    let changed = false;
+    for (let i = 0; i < SHELL_ASSETS.length; i++) {
+      const cached = await cache.match(SHELL_ASSETS[i]);
+      if (!cached || (await cached.text()) !== (await fresh[i].clone().text())) {
+        changed = true;
+        break;
+      }
+    }
+    if (!changed) return;
+
+    await Promise.all(SHELL_ASSETS.map((url, i) => cache.put(url, fresh[i])));
+    const clients = await self.clients.matchAll({ type: "window" });
+    clients.forEach((client) => client.postMessage({ type: "SHELL_UPDATED" }));
+  })()
+    .catch(() => {}) // offline: keep serving the cached shell
+    .finally(() => {
+      shellCheck = null;
+    });
+  return shellCheck;
+}
+
+/* Catalog: network-first */
+
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+
+  try {
+    const response = await fetch(request);
+    if (!response.ok) return response;
+
+    const stamped = await withHeaders(response, {
+      "X-Fetched-At": new Date().toISOString()
+    });
+    await cache.put(request.url, stamped.clone());
+    return stamped;
+  } catch (err) {
+    const cached = await cache.match(request.url);
+    if (!cached) throw err;
+    return withHeaders(cached, { "X-From-Cache": "1" });
+  }
+}
+
+async function withHeaders(response, extra) {
+  const headers = new Headers(response.headers);
+  Object.entries(extra).forEach(([key, value]) => headers.set(key, value));
+  return new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  });
+}
+
+/* Offline audio */
+
+function isAudioRequest(request) {
+  if (request.destination === "audio") return true;
+  const path = new URL(request.url).pathname;
+  return /\.(mp3|m4a|aac|ogg|oga|opus|flac|wav|webm)$/i.test(path);
+}
+
+// Downloaded tracks come from the audio cache; anything else goes to the
+// network untouched (audio is never cached implicitly).
+async function serveAudio(request) {
+  const cache = await caches.open(AUDIO_CACHE_NAME);
+  const cached = await cache.match(request.url);
+  if (!cached) return fetch(request);
+
+  const range = request.headers.get("range");
+  return range ? rangeResponse(cached, range) : cached;
+}
+
+// Media elements seek with Range requests, so answer them with 206 slices
+async function rangeResponse(response, rangeHeader) {
+  const blob = await response.blob();
+  const size = blob.size;
+  const match = /^bytes=(\d*)-(\d*)$/.exec(rangeHeader.trim());
+
+  let start = NaN;
+  let end = NaN;
+  if (match && match[1] !== "") {
+    start = Number(match[1]);
+    end = match[2] === "" ? size - 1 : Math.min(Number(match[2]), size - 1);
+  } else if (match && match[2] !== "") {
+    // Suffix range: the last N bytes
+    start = Math.max(0, size - Number(match[2]));
+    end = size - 1;
+  }
+
+  if (!(start >= 0) || start >= size || start > end) {
+    return new Response(null, {
+      status: 416,
+      statusText: "Range Not Satisfiable",
+      headers: { "Content-Range": `bytes */${size}` }
+    });
+  }
+
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    statusText: "Partial Content",
+    headers: {
+      "Content-Type": blob.type || response.headers.get("Content-Type") || "audio/mpeg",
+      "Content-Length": String(end - start + 1),
+      "Content-Range": `bytes ${start}-${end}/${size}`,
+      "Accept-Ranges": "bytes"
+    }
+  });
+}